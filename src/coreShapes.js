@@ -2,12 +2,52 @@
  * Core Shape Classes for OpenMagnetics Virtual Builder
  * 
  * These classes implement the shape pieces for different core families
- * (T, E, C, P, PQ, RM, ETD, ER, EFD, EC, EQ, EP, EPX, U, UR, LP, PM, EL)
+ * (T, E, C, P, PQ, RM, ETD, ER, EFD, EC, EQ, EP, EPX, U, UR, LP, PM, EL, ELP, EI, UI, UT, H, PQI, DRUM, ROD, CUSTOM)
  * matching the Python cadquery_builder.py implementation.
  */
 
-import { CoreGeometricalDescriptionElementType } from './MAS.ts';
-import { flattenDimensions, convertAxis } from './utils.js';
+import { CoreGeometricalDescriptionElementType, ColumnShape, GapType, Coating } from './MAS.ts';
+import { flattenDimensions, convertAxis, applyMasRotation } from './utils.js';
+
+// ==========================================================================
+// Dimension Errors
+// ==========================================================================
+
+/**
+ * Error thrown when the dimensions of a shape record cannot build a piece.
+ * Carries the family, subtype and the offending dimensions, so callers can report or fix them.
+ */
+export class ShapeDimensionError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.family - Shape family
+   * @param {string} details.subtype - Shape family subtype
+   * @param {string} [details.name] - Shape name
+   * @param {string[]} [details.missing] - Required dimensions that are not given
+   * @param {Array<{dimension: string, value: *}>} [details.invalid] - Dimensions that are not positive numbers
+   * @param {string[]} [details.inconsistencies] - Geometric sanity checks that failed
+   */
+  constructor({ family, subtype, name, missing = [], invalid = [], inconsistencies = [] }) {
+    const problems = [];
+    if (missing.length > 0) {
+      problems.push('missing ' + missing.join(', '));
+    }
+    if (invalid.length > 0) {
+      problems.push('invalid ' + invalid.map(({ dimension, value }) => `${dimension}=${value}`).join(', '));
+    }
+    problems.push(...inconsistencies);
+
+    const shape = name ? `'${name}' ` : '';
+    super(`Invalid dimensions for shape ${shape}(family '${family}', subtype '${subtype}'): ${problems.join('; ')}`);
+    this.name = 'ShapeDimensionError';
+    this.family = family;
+    this.subtype = subtype;
+    this.shapeName = name;
+    this.missing = missing;
+    this.invalid = invalid;
+    this.inconsistencies = inconsistencies;
+  }
+}
 
 // ==========================================================================
 // Base Shape Class
@@ -31,6 +71,72 @@ export class ShapePiece {
     return { 1: ['A', 'B', 'C', 'D', 'E', 'F'] };
   }
 
+  /**
+   * Get the dimensions of getDimensionsAndSubtypes() the builder can do without.
+   * @param {string} familySubtype - Shape subtype
+   * @returns {string[]}
+   */
+  getOptionalDimensions(familySubtype) {
+    return [];
+  }
+
+  /**
+   * Check the geometry the dimensions describe, once every required dimension is valid.
+   * Shapes with a winding window need it narrower and shorter than the piece, and wider than the central column.
+   * @param {Object} dimensions - Flattened shape dimensions
+   * @param {string} familySubtype - Shape subtype
+   * @returns {string[]} - Failed checks
+   */
+  getGeometryErrors(dimensions, familySubtype) {
+    const errors = [];
+    if (dimensions.A > 0 && dimensions.E > 0 && dimensions.E >= dimensions.A) {
+      errors.push(`winding window width E (${dimensions.E}) is not smaller than the core width A (${dimensions.A})`);
+    }
+    if (dimensions.B > 0 && dimensions.D > 0 && dimensions.D >= dimensions.B) {
+      errors.push(`winding window height D (${dimensions.D}) is not smaller than the piece height B (${dimensions.B})`);
+    }
+    if (dimensions.E > 0 && dimensions.F > 0 && dimensions.F >= dimensions.E) {
+      errors.push(`central column width F (${dimensions.F}) is not smaller than the winding window width E (${dimensions.E})`);
+    }
+    return errors;
+  }
+
+  /**
+   * Validate the flattened dimensions against getDimensionsAndSubtypes() before building.
+   * Unknown subtypes are checked against the first one.
+   * @param {Object} data - Shape data (must have 'dimensions' already flattened)
+   * @throws {ShapeDimensionError} - When dimensions are missing, invalid or geometrically inconsistent
+   */
+  validateDimensions(data) {
+    const subtypes = this.getDimensionsAndSubtypes();
+    const subtype = String(data.familySubtype ?? Object.keys(subtypes)[0]);
+    const expected = subtypes[subtype] || subtypes[Object.keys(subtypes)[0]] || [];
+    const optional = this.getOptionalDimensions(subtype);
+    const dimensions = data.dimensions || {};
+
+    const missing = [];
+    const invalid = [];
+    for (const dimension of expected) {
+      const value = dimensions[dimension];
+      const isOptional = optional.includes(dimension);
+      if (value === undefined || value === null) {
+        if (!isOptional) {
+          missing.push(dimension);
+        }
+      } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (value === 0 && !isOptional)) {
+        invalid.push({ dimension, value });
+      }
+    }
+
+    const inconsistencies = missing.length === 0 && invalid.length === 0
+      ? this.getGeometryErrors(dimensions, subtype)
+      : [];
+
+    if (missing.length > 0 || invalid.length > 0 || inconsistencies.length > 0) {
+      throw new ShapeDimensionError({ family: data.family, subtype, name: data.name, missing, invalid, inconsistencies });
+    }
+  }
+
   /**
    * Create the base 2D sketch for extrusion.
    * @param {Object} data - Shape data with dimensions
@@ -47,6 +153,102 @@ export class ShapePiece {
    * @returns {Object} - Modified piece
    */
   getShapeExtras(data, piece) {
+    return this.applyEdgeFinish(data, piece);
+  }
+
+  /**
+   * Get the default fillet/chamfer radius of the piece edges, from its dimensions:
+   * a tenth of the thinnest leg or back for shapes with a winding window, else 2% of the smallest size.
+   * @param {Object} dimensions - Shape dimensions
+   * @returns {number}
+   */
+  getDefaultEdgeRadius(dimensions) {
+    if (dimensions.A > dimensions.E && dimensions.B > dimensions.D) {
+      return 0.1 * Math.min((dimensions.A - dimensions.E) / 2, dimensions.B - dimensions.D);
+    }
+    const sizes = [dimensions.A, dimensions.B, dimensions.C].filter((size) => size > 0);
+    return sizes.length > 0 ? 0.02 * Math.min(...sizes) : 0;
+  }
+
+  /**
+   * Get the edge radius requested in data.edgeFinish, or the family default when it has no radius.
+   * @param {Object} data - Shape data (must have 'dimensions' already flattened)
+   * @returns {number} - Radius in meters, 0 for sharp edges
+   */
+  getEdgeRadius(data) {
+    if (!data.edgeFinish) {
+      return 0;
+    }
+    return data.edgeFinish.radius > 0 ? data.edgeFinish.radius : this.getDefaultEdgeRadius(data.dimensions);
+  }
+
+  /**
+   * Get the filter choosing the edges that get the edge finish: the outline of the back and of the mating face.
+   * Edges around round central columns are left sharp, OpenCASCADE cannot follow the seam of their cylinder.
+   * @param {Object} data - Shape data
+   * @param {Object} piece - 3D piece, placed as getShapeExtras leaves it
+   * @returns {Function} - (edge) => boolean
+   */
+  getFinishedEdgeFilter(data, piece) {
+    const [lowest, highest] = piece.boundingBox.bounds;
+    const columnRadius = data.dimensions.F > 0 ? data.dimensions.F / 2 : 0;
+    const tolerance = 1e-6;
+    const isAt = (value, target) => Math.abs(value - target) < tolerance;
+
+    return (edge) => {
+      const [edgeLowest, edgeHighest] = edge.boundingBox.bounds;
+      const isOnFace = [lowest[2], highest[2]].some((z) => isAt(edgeLowest[2], z) && isAt(edgeHighest[2], z));
+      if (!isOnFace) {
+        return false;
+      }
+      const points = [edge.startPoint, edge.pointAt(0.5), edge.endPoint].map((point) => point.toTuple());
+      return !points.every(([x, y]) => Math.hypot(x, y) <= columnRadius + tolerance);
+    };
+  }
+
+  /**
+   * Round or chamfer the edges of the piece, as requested in data.edgeFinish ({ type: 'fillet' | 'chamfer', radius }).
+   * Only the edges of getFinishedEdgeFilter are finished. An explicit radius must fit; the family default
+   * falls back to a third, then a tenth of itself where short edges leave no room, and warns with the radius used.
+   * @param {Object} data - Shape data
+   * @param {Object} piece - 3D piece
+   * @returns {Object} - Finished piece
+   * @throws {ShapeDimensionError} - When the explicit radius does not fit the piece
+   */
+  applyEdgeFinish(data, piece) {
+    const radius = this.getEdgeRadius(data);
+    if (!(radius > 0)) {
+      return piece;
+    }
+
+    const isChamfer = data.edgeFinish.type === 'chamfer';
+    const operation = isChamfer ? 'chamfer' : 'fillet';
+    const isExplicit = data.edgeFinish.radius > 0;
+    const attemptRadii = isExplicit ? [radius] : [radius, radius / 3, radius / 10];
+    const isFinished = this.getFinishedEdgeFilter(data, piece);
+    for (const attemptRadius of attemptRadii) {
+      try {
+        const original = piece.clone();
+        const edgeRadius = (edge) => (isFinished(edge) ? attemptRadius : null);
+        const finished = isChamfer ? original.chamfer(edgeRadius) : original.fillet(edgeRadius);
+        if (attemptRadius !== radius) {
+          console.warn(`[MVB] Default ${operation} of ${radius} m does not fit a '${data.family}' piece, used ${attemptRadius} m`);
+        }
+        return finished;
+      } catch (err) {
+        // Try again with a smaller radius
+      }
+    }
+
+    if (isExplicit) {
+      throw new ShapeDimensionError({
+        family: data.family,
+        subtype: String(data.familySubtype ?? '1'),
+        name: data.name,
+        inconsistencies: [`${operation} of ${radius} m does not fit the edges of the piece`]
+      });
+    }
+    console.warn(`[MVB] Could not ${operation} the edges of a '${data.family}' piece, keeping them sharp`);
     return piece;
   }
 
@@ -85,6 +287,114 @@ export class ShapePiece {
     return piece;
   }
 
+  /**
+   * Get the depth of the piece along the depth axis (Y), which stacked cores repeat their pieces at.
+   * Measured on the sharp piece, as the outline of getShapeBase does not span the whole depth for every family (PQ, PM).
+   * @param {Object} data - Shape data (must have 'dimensions' already flattened)
+   * @returns {number} - Depth in meters
+   */
+  getStackDepth(data) {
+    const piece = this.getPiece({ ...data, edgeFinish: undefined });
+    const bounds = piece.boundingBox.bounds;
+    piece.delete();
+    return bounds[1][1] - bounds[0][1];
+  }
+
+  /**
+   * Tell whether sets of this family are a piece and a plate (EI, UI, PQI), so getCore adds the plate when it is not listed.
+   * @returns {boolean}
+   */
+  isPieceAndPlate() {
+    return false;
+  }
+
+  /**
+   * Create a flat plate closing this shape, with its top at Z=0 (like pieces).
+   * The default plate covers the footprint A x C and is as thick as the back (B - D).
+   * @param {Object} data - Shape data (must have 'dimensions' already flattened)
+   * @returns {Object} - Replicad shape
+   * @throws {ShapeDimensionError} - When the shape has no footprint A x C or no back B - D
+   */
+  getPlate(data) {
+    const { makeBaseBox } = this.r;
+    const dimensions = data.dimensions;
+    const missing = ['A', 'B', 'C', 'D'].filter((dimension) => !(dimensions[dimension] > 0));
+    const thickness = dimensions.B - dimensions.D;
+    if (missing.length > 0 || !(thickness > 0)) {
+      throw new ShapeDimensionError({
+        family: data.family,
+        subtype: String(data.familySubtype ?? '1'),
+        name: data.name,
+        missing,
+        inconsistencies: missing.length > 0 ? [] : [`plate thickness B - D (${thickness}) is not positive`]
+      });
+    }
+
+    return makeBaseBox(dimensions.A, dimensions.C, thickness)
+      .translate([0, 0, -thickness]);
+  }
+
+  /**
+   * Reject a plate for families that have no open side for it to close.
+   * @param {Object} data - Shape data
+   * @throws {ShapeDimensionError}
+   */
+  rejectPlate(data) {
+    throw new ShapeDimensionError({
+      family: data.family,
+      subtype: String(data.familySubtype ?? '1'),
+      name: data.name,
+      inconsistencies: [`'${data.family}' pieces are not closed by a plate`]
+    });
+  }
+
+  /**
+   * Reject lamination for families that are not built from stacked sheets.
+   * @param {Object} data - Shape data
+   * @throws {ShapeDimensionError}
+   */
+  rejectLamination(data) {
+    throw new ShapeDimensionError({
+      family: data.family,
+      subtype: String(data.familySubtype ?? '1'),
+      name: data.name,
+      inconsistencies: [`'${data.family}' pieces are not laminated`]
+    });
+  }
+
+  /**
+   * Create the solid lamination stacks are cut from: the piece with sharp edges, and with its
+   * I-bar fused for piece and plate families, so each sheet is a whole lamination.
+   * @param {Object} data - Shape data (must have 'dimensions' already flattened)
+   * @returns {Object} - Replicad shape
+   */
+  getLamination(data) {
+    // Only full pieces get their edges finished, sheets stay sharp
+    const laminationData = { ...data, edgeFinish: undefined };
+    const lamination = this.getPiece(laminationData);
+    if (!this.isPieceAndPlate()) {
+      return lamination;
+    }
+
+    // The plate faces the piece, as getCore places it for half sets
+    const plate = this.getPlate(laminationData).rotate(180, [0, 0, 0], [1, 0, 0]);
+    return lamination.fuse(plate);
+  }
+
+  /**
+   * Create one lamination sheet: the slice of getLamination that is thickness deep along Y.
+   * @param {Object} data - Shape data (must have 'dimensions' already flattened)
+   * @param {number} thickness - Sheet thickness along the depth axis
+   * @param {number} [offset] - Position of the sheet from the middle of the piece, along Y
+   * @returns {Object} - Replicad shape
+   */
+  getSheet(data, thickness, offset = 0) {
+    const lamination = this.getLamination(data);
+    const sheet = cutSheet(this.r, lamination, thickness, offset);
+    lamination.delete();
+    return sheet;
+  }
+
   /**
    * Apply machining (gap cutting) to the piece.
    * @param {Object} piece - The piece to machine
@@ -96,6 +406,11 @@ export class ShapePiece {
    * replicad's makeBaseBox creates from Z=0 to Z=height, so we offset by -height/2 to center it.
    */
   applyMachining(piece, machining, dimensions) {
+    const gapSectionTool = this.getGapSectionTool(machining);
+    if (gapSectionTool) {
+      return piece.cut(gapSectionTool);
+    }
+
     const { makeBaseBox } = this.r;
     const width = dimensions.A / 2;
     const height = machining.length;
@@ -110,6 +425,60 @@ export class ShapePiece {
     
     return piece.cut(tool);
   }
+
+  /**
+   * Create the cross-section of the central column as a solid from Z=0 to Z=height.
+   * Machining tools use it so gaps follow the real column profile.
+   * @param {Object} dimensions - Shape dimensions
+   * @param {number} height - Height of the solid
+   * @returns {Object} - Replicad shape centered in XY
+   */
+  getCentralColumnSection(dimensions, height) {
+    return makeColumnSection(this.r, ColumnShape.Rectangular, dimensions.F, dimensions.C, height);
+  }
+
+  /**
+   * Create the tool for a machining that carries its own section (CoreGap.shape and sectionDimensions),
+   * as derived from the functional gapping. Irregular sections are left to the family tools.
+   * @param {Object} machining - Machining parameters
+   * @returns {Object|null} - Replicad shape centered at the gap, or null
+   */
+  getGapSectionTool(machining) {
+    const shape = machining.shape;
+    if (!shape || shape === ColumnShape.Irregular || !machining.sectionDimensions) {
+      return null;
+    }
+
+    const height = machining.length;
+    const depth = machining.coordinates.length > 2 ? machining.coordinates[2] : 0;
+    return makeColumnSection(this.r, shape, machining.sectionDimensions[0], machining.sectionDimensions[1], height)
+      .translate([machining.coordinates[0], depth, machining.coordinates[1] - height / 2]);
+  }
+
+  /**
+   * Create the tool for a lateral column: a slab over the leg, minus the slightly
+   * enlarged central column so neither the column nor its chamfers are cut.
+   * @param {Object} machining - Machining parameters
+   * @param {Object} dimensions - Shape dimensions
+   * @param {number} depth - Depth of the slab along Y
+   * @returns {Object} - Replicad shape
+   */
+  getLateralMachiningTool(machining, dimensions, depth) {
+    const { makeBaseBox } = this.r;
+    const height = machining.length;
+    const zStart = machining.coordinates[1] - height / 2;
+    const xCoord = machining.coordinates[0] < 0 
+      ? -dimensions.A / 2 
+      : dimensions.A / 2;
+
+    const slab = makeBaseBox(dimensions.A / 2, depth, height)
+      .translate([xCoord, 0, zStart]);
+    const centralColumn = this.getCentralColumnSection(dimensions, height)
+      .scale(1.001, [0, 0, height / 2])
+      .translate([0, 0, zStart]);
+
+    return slab.cut(centralColumn);
+  }
 }
 
 // ==========================================================================
@@ -154,6 +523,33 @@ export class TShape extends ShapePiece {
     return null;
   }
 
+  getGeometryErrors(dimensions) {
+    if (dimensions.B >= dimensions.A) {
+      return [`inner diameter B (${dimensions.B}) is not smaller than the outer diameter A (${dimensions.A})`];
+    }
+    return [];
+  }
+
+  getPlate(data) {
+    // Rings are closed already
+    return this.rejectPlate(data);
+  }
+
+  getLamination(data) {
+    // Laminated rings are wound from tape, not stacked from sheets
+    return this.rejectLamination(data);
+  }
+
+  getDefaultEdgeRadius(dimensions) {
+    // Datasheet toroids are rounded by about a tenth of their wall
+    return 0.1 * Math.min((dimensions.A - dimensions.B) / 2, dimensions.C);
+  }
+
+  getFinishedEdgeFilter(data, piece) {
+    // Rings have no back nor mating face, all four circles are rounded
+    return () => true;
+  }
+
   getShapeExtras(data, piece) {
     const dimensions = data.dimensions;
     const halfHeight = dimensions.C / 2;
@@ -164,7 +560,51 @@ export class TShape extends ShapePiece {
     // Rotate to match Python orientation (rotate around X axis by 90 degrees)
     piece = piece.rotate(90, [0, 0, 0], [0, 1, 0]);
     
-    return piece;
+    return this.applyEdgeFinish(data, piece);
+  }
+
+  /**
+   * Apply a discrete gap or sensor slot, cut through the whole ring cross-section.
+   * machining.coordinates are the Cartesian [x, y] position of the gap in the ring plane, like
+   * toroidal turn coordinates, and machining.length is the slot width.
+   * Note: machining is applied after the MAS rotation. An unrotated piece has its axis along X; the tool
+   * expects the ring in the XZ plane with its axis along Y, as the usual rotation [π/2, π/2, 0] leaves it.
+   */
+  applyMachining(piece, machining, dimensions) {
+    const { makeBaseBox } = this.r;
+    const length = machining.length;
+    const angleDeg = this.getGapAngle(machining);
+
+    // Slot along +X, across the ring radially and axially, then turned to the gap angle
+    const radialLength = dimensions.A - dimensions.B;
+    const tool = makeBaseBox(radialLength, dimensions.C * 2, length)
+      .translate([(dimensions.A + dimensions.B) / 4, 0, -length / 2])
+      .rotate(angleDeg, [0, 0, 0], [0, 1, 0]);
+
+    return piece.cut(tool);
+  }
+
+  /**
+   * Get the angular position of a gap in degrees, in the same convention as toroidal turn rotations.
+   * @param {Object} machining - Machining or CoreGap entry
+   * @returns {number}
+   */
+  getGapAngle(machining) {
+    const coordinates = machining.coordinates || [0, 0];
+    return (180 / Math.PI) * Math.atan2(coordinates[1] || 0, coordinates[0] || 0);
+  }
+
+  /**
+   * Get the angular sector a gap takes at the inner diameter, where turns are tightest.
+   * @param {Object} machining - Machining or CoreGap entry
+   * @param {Object} dimensions - Shape dimensions
+   * @returns {{angle: number, width: number}} - Sector center and full width, in degrees
+   */
+  getGapSector(machining, dimensions) {
+    return {
+      angle: this.getGapAngle(machining),
+      width: 2 * (180 / Math.PI) * Math.atan2(machining.length / 2, dimensions.B / 2)
+    };
   }
 }
 
@@ -210,77 +650,60 @@ export class EShape extends ShapePiece {
     const dimensions = data.dimensions;
     
     // Translate so bottom is at Z=0
-    return piece.translate([0, 0, -dimensions.B]);
+    return this.applyEdgeFinish(data, piece.translate([0, 0, -dimensions.B]));
   }
 
   /**
    * Apply machining (gap) to the core piece.
+   * The central tool follows the column profile (getCentralColumnSection), and lateral
+   * tools leave the central column untouched.
    * 
    * Note: machining.coordinates[1] is the CENTER of the gap (like Python/CadQuery convention).
-   * replicad's makeBaseBox creates from Z=0 to Z=height, so we offset by -height/2 to center it.
+   * replicad primitives start at Z=0, so we offset by -height/2 to center them.
    */
   applyMachining(piece, machining, dimensions) {
-    const { makeBaseBox } = this.r;
-    
-    let width, length, xCoord, yCoord;
-    
-    if (machining.coordinates[0] === 0) {
-      // Central column machining
-      width = dimensions.F;
-      length = dimensions.C;
-      xCoord = 0;
-      yCoord = 0;
-      
-      if (dimensions.K) {
-        length = dimensions.C - dimensions.K;
-        xCoord += dimensions.K;
-      }
-    } else {
-      // Side column machining
-      width = dimensions.A / 2;
-      length = dimensions.C;
-      xCoord = machining.coordinates[0] < 0 
-        ? -dimensions.A / 2 
-        : dimensions.A / 2;
-      yCoord = 0;
+    const gapSectionTool = this.getGapSectionTool(machining);
+    if (gapSectionTool) {
+      return piece.cut(gapSectionTool);
     }
-    
-    const height = machining.length;
-    const zCoord = machining.coordinates[1];
-    
-    // makeBaseBox creates from Z=0 to Z=height, translate to center at zCoord
-    let tool = makeBaseBox(width, length, height)
-      .translate([xCoord, yCoord, zCoord - height / 2]);
-    
-    // For side columns, subtract central column area
+
     if (machining.coordinates[0] !== 0) {
-      const centralWidth = dimensions.F * 1.001;
-      let centralLength = dimensions.C * 1.001;
-      
-      if (dimensions.K) {
-        centralLength = (dimensions.C - dimensions.K * 2) * 1.001;
-      }
-      
-      // Center the central tool at zCoord as well
-      const centralTool = makeBaseBox(centralWidth, centralLength, height)
-        .translate([0, 0, zCoord - height / 2]);
-      
-      tool = tool.cut(centralTool);
+      // Slab twice as deep as the piece, so legs of pieces offset in Y (EP, EFD) are fully cut
+      return piece.cut(this.getLateralMachiningTool(machining, dimensions, dimensions.C * 2));
     }
-    
+
+    const height = machining.length;
+    const tool = this.getCentralColumnSection(dimensions, height)
+      .translate([0, 0, machining.coordinates[1] - height / 2]);
+
     return piece.cut(tool);
   }
+
+  getCentralColumnSection(dimensions, height) {
+    if (dimensions.K > 0) {
+      // Columns set back K from both faces of the piece
+      return makeColumnSection(this.r, ColumnShape.Rectangular, dimensions.F, dimensions.C - 2 * dimensions.K, height);
+    }
+    return super.getCentralColumnSection(dimensions, height);
+  }
 }
 
 // ==========================================================================
 // ER Shape (E with Round center column)
 // ==========================================================================
 
+// G (lateral cut width) of ER and EP shapes is only cut when given
+const LATERAL_CUT_DIMENSIONS = ['G'];
+
 export class ERShape extends EShape {
   getDimensionsAndSubtypes() {
     return { 1: ['A', 'B', 'C', 'D', 'E', 'F', 'G'] };
   }
 
+  getOptionalDimensions() {
+    return LATERAL_CUT_DIMENSIONS;
+  }
+
   getNegativeWindingWindow(dimensions) {
     const { makeCylinder, makeBaseBox } = this.r;
     
@@ -312,48 +735,8 @@ export class ERShape extends EShape {
     return windingWindow;
   }
 
-  /**
-   * Apply machining (gap) to the core piece.
-   * For round-center cores (ER, ETD), use a cylinder for central column machining.
-   * 
-   * Note: machining.coordinates[1] is the CENTER of the gap (like Python/CadQuery convention).
-   * replicad's makeCylinder creates from Z=0 to Z=height, so we offset by -height/2 to center it.
-   */
-  applyMachining(piece, machining, dimensions) {
-    const { makeBaseBox, makeCylinder } = this.r;
-    
-    const height = machining.length;
-    const zCoord = machining.coordinates[1];
-    
-    if (machining.coordinates[0] === 0) {
-      // Central column machining - use cylinder for round column
-      // Cylinder is created from Z=0 to Z=height, translate to center at zCoord
-      const radius = dimensions.F / 2;
-      const tool = makeCylinder(radius, height)
-        .translate([0, 0, zCoord - height / 2]);
-      
-      return piece.cut(tool);
-    } else {
-      // Side column machining - use rectangular tool
-      // makeBaseBox creates from Z=0 to Z=height, translate to center at zCoord
-      const width = dimensions.A / 2;
-      const length = dimensions.C;
-      const xCoord = machining.coordinates[0] < 0 
-        ? -dimensions.A / 2 
-        : dimensions.A / 2;
-      
-      let tool = makeBaseBox(width, length, height)
-        .translate([xCoord, 0, zCoord - height / 2]);
-      
-      // Subtract central column area (use cylinder since center is round)
-      const centralRadius = (dimensions.F / 2) * 1.001;
-      const centralTool = makeCylinder(centralRadius, height)
-        .translate([0, 0, zCoord - height / 2]);
-      
-      tool = tool.cut(centralTool);
-      
-      return piece.cut(tool);
-    }
+  getCentralColumnSection(dimensions, height) {
+    return makeColumnSection(this.r, ColumnShape.Round, dimensions.F, dimensions.F, height);
   }
 }
 
@@ -368,7 +751,7 @@ export class ETDShape extends ERShape {
 }
 
 // ==========================================================================
-// EL Shape (Planar E / Planar EL, extends E)
+// EL Shape (Planar E / Planar EL / ELP, extends E)
 // Planar EL cores may have F2 dimension for oblong/stadium central column.
 // When F2 is present and different from F, the column is stadium-shaped.
 // ==========================================================================
@@ -379,6 +762,11 @@ export class ELShape extends EShape {
     return { 1: ['A', 'B', 'C', 'D', 'E', 'F', 'F2', 'R'] };
   }
 
+  getOptionalDimensions() {
+    // Without F2 the central column is square
+    return ['F2', 'R'];
+  }
+
   getNegativeWindingWindow(dimensions) {
     const { makeBaseBox, makeCylinder } = this.r;
     
@@ -426,6 +814,14 @@ export class ELShape extends EShape {
       return super.getNegativeWindingWindow(dimensions);
     }
   }
+
+  getCentralColumnSection(dimensions, height) {
+    const hasOblongColumn = dimensions.F2 && Math.abs(dimensions.F2 - dimensions.F) > 0.0001;
+    if (hasOblongColumn) {
+      return makeColumnSection(this.r, ColumnShape.Oblong, dimensions.F, dimensions.F2, height);
+    }
+    return super.getCentralColumnSection(dimensions, height);
+  }
 }
 
 // ==========================================================================
@@ -485,6 +881,10 @@ export class EPShape extends EShape {
     return { 1: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'K'] };
   }
 
+  getOptionalDimensions() {
+    return LATERAL_CUT_DIMENSIONS;
+  }
+
   getShapeBase(data) {
     const { draw } = this.r;
     const dimensions = data.dimensions;
@@ -537,6 +937,10 @@ export class EPShape extends EShape {
 
     return negativeWindingWindow;
   }
+
+  getCentralColumnSection(dimensions, height) {
+    return makeColumnSection(this.r, ColumnShape.Round, dimensions.F, dimensions.F, height);
+  }
 }
 
 // ==========================================================================
@@ -611,6 +1015,11 @@ export class EPXShape extends EPShape {
 
     return negativeWindingWindow;
   }
+
+  getCentralColumnSection(dimensions, height) {
+    // Round ends joined by a rectangle, K + F/2 long along Y
+    return makeColumnSection(this.r, ColumnShape.Oblong, dimensions.F, dimensions.K + dimensions.F / 2, height);
+  }
 }
 
 // ==========================================================================
@@ -678,18 +1087,18 @@ export class EFDShape extends EShape {
       .translate([0, 0, dimensions.B - dimensions.D]);
   }
 
-  getShapeExtras(data, piece) {
+  /**
+   * Sketch the cross-section of the central column: an F x F2 rectangle with its corners chamfered by q.
+   * @param {Object} dimensions - Shape dimensions
+   * @returns {Object} - Replicad sketch centered in XY
+   */
+  getColumnSketch(dimensions) {
     const { draw } = this.r;
-    const dimensions = data.dimensions;
-
-    // Add central column with chamfered corners
-    // The chamfer amount is dimensions.q
     const f = dimensions.F / 2;
     const f2 = dimensions.F2 / 2;
     const q = dimensions.q;
-    
-    // Create rectangle with chamfered corners
-    const columnSketch = draw()
+
+    return draw()
       .movePointerTo([f - q, f2])
       .lineTo([-f + q, f2])
       .lineTo([-f, f2 - q])
@@ -700,12 +1109,21 @@ export class EFDShape extends EShape {
       .lineTo([f, f2 - q])
       .close()
       .sketchOnPlane('XY');
-    
-    const column = columnSketch.extrude(dimensions.B);
+  }
+
+  getShapeExtras(data, piece) {
+    const dimensions = data.dimensions;
+
+    // Add central column with chamfered corners
+    const column = this.getColumnSketch(dimensions).extrude(dimensions.B);
     
     piece = piece.fuse(column);
     piece = piece.translate([0, 0, -dimensions.B]);
-    return piece;
+    return this.applyEdgeFinish(data, piece);
+  }
+
+  getCentralColumnSection(dimensions, height) {
+    return this.getColumnSketch(dimensions).extrude(height);
   }
 }
 
@@ -718,6 +1136,11 @@ export class LPShape extends ERShape {
     return { 1: ['A', 'B', 'C', 'D', 'E', 'F', 'G'] };
   }
 
+  getOptionalDimensions() {
+    // LP cores always cut their lateral slots
+    return [];
+  }
+
   getNegativeWindingWindow(dimensions) {
     const { makeCylinder, makeBaseBox } = this.r;
     
@@ -751,19 +1174,57 @@ export class LPShape extends ERShape {
 }
 
 // ==========================================================================
-// C Shape
+// EI Shape (E lamination with matching I-bar)
 // ==========================================================================
 
 /**
- * C shape - C-core (like E but open on one side).
- * Dimensions: A (total width), B (height), C (depth), D (window height), E (window width)
+ * EI shape - E piece closed by a straight I-bar plate, both from the same shape record.
+ * Dimensions: as E, plus G (optional I-bar thickness, defaults to the outer leg width)
  */
-export class CShape extends ShapePiece {
+export class EIShape extends EShape {
   getDimensionsAndSubtypes() {
-    return { 1: ['A', 'B', 'C', 'D', 'E'] };
+    return { 1: ['A', 'B', 'C', 'D', 'E', 'F', 'G'] };
   }
 
-  getShapeBase(data) {
+  getOptionalDimensions() {
+    // The I-bar defaults to the width of the lateral legs
+    return ['G'];
+  }
+
+  isPieceAndPlate() {
+    return true;
+  }
+
+  /**
+   * Create the I-bar plate that closes the E piece.
+   * Built like the pieces, with its top (the face touching the legs) at Z=0.
+   * @param {Object} data - Shape data (must have 'dimensions' already flattened)
+   * @returns {Object} - Replicad shape
+   */
+  getPlate(data) {
+    const { makeBaseBox } = this.r;
+    const dimensions = data.dimensions;
+    const thickness = dimensions.G || (dimensions.A - dimensions.E) / 2;
+
+    return makeBaseBox(dimensions.A, dimensions.C, thickness)
+      .translate([0, 0, -thickness]);
+  }
+}
+
+// ==========================================================================
+// C Shape
+// ==========================================================================
+
+/**
+ * C shape - C-core (like E but open on one side).
+ * Dimensions: A (total width), B (height), C (depth), D (window height), E (window width)
+ */
+export class CShape extends ShapePiece {
+  getDimensionsAndSubtypes() {
+    return { 1: ['A', 'B', 'C', 'D', 'E'] };
+  }
+
+  getShapeBase(data) {
     const { draw } = this.r;
     const dimensions = data.dimensions;
     
@@ -798,7 +1259,7 @@ export class CShape extends ShapePiece {
 
   getShapeExtras(data, piece) {
     const dimensions = data.dimensions;
-    return piece.translate([0, 0, -dimensions.B]);
+    return this.applyEdgeFinish(data, piece.translate([0, 0, -dimensions.B]));
   }
 }
 
@@ -845,7 +1306,7 @@ export class UShape extends ShapePiece {
 
   getShapeExtras(data, piece) {
     const dimensions = data.dimensions;
-    return piece.translate([0, 0, -dimensions.B]);
+    return this.applyEdgeFinish(data, piece.translate([0, 0, -dimensions.B]));
   }
 
   /**
@@ -974,7 +1435,194 @@ export class URShape extends ShapePiece {
     }
     
     piece = piece.translate([0, 0, -dimensions.B]);
-    return piece;
+    return this.applyEdgeFinish(data, piece);
+  }
+}
+
+// ==========================================================================
+// UI Shape (U with matching I-bar)
+// ==========================================================================
+
+/**
+ * UI shape - U piece closed by a straight I-bar plate, both from the same shape record.
+ * Dimensions: as U, plus G (optional I-bar thickness, defaults to the leg width)
+ */
+export class UIShape extends UShape {
+  getDimensionsAndSubtypes() {
+    return { 1: ['A', 'B', 'C', 'D', 'E', 'G'] };
+  }
+
+  getOptionalDimensions() {
+    // The I-bar defaults to the width of the winding column
+    return ['G'];
+  }
+
+  isPieceAndPlate() {
+    return true;
+  }
+
+  /**
+   * Create the I-bar plate that closes the U piece.
+   * Built like the pieces, with its top (the face touching the legs) at Z=0,
+   * and aligned with the U, whose winding leg is centered at X=0.
+   * @param {Object} data - Shape data (must have 'dimensions' already flattened)
+   * @returns {Object} - Replicad shape
+   */
+  getPlate(data) {
+    const { makeBaseBox } = this.r;
+    const dimensions = data.dimensions;
+    const windingColumnWidth = (dimensions.A - dimensions.E) / 2;
+    const thickness = dimensions.G || windingColumnWidth;
+
+    return makeBaseBox(dimensions.A, dimensions.C, thickness)
+      .translate([-(dimensions.A - windingColumnWidth) / 2, 0, -thickness]);
+  }
+}
+
+// ==========================================================================
+// UT Shape (U with unequal legs)
+// ==========================================================================
+
+/**
+ * UT shape - U piece whose winding leg (F) is wider than its return leg.
+ * Dimensions: A (total width), B (height), C (depth), D (window height), E (window width),
+ * F (winding leg width). The winding leg is centered at X=0, like in U shapes.
+ */
+export class UTShape extends ShapePiece {
+  getDimensionsAndSubtypes() {
+    return { 1: ['A', 'B', 'C', 'D', 'E', 'F'] };
+  }
+
+  getGeometryErrors(dimensions) {
+    // The winding leg sits beside the window, so only the return leg has to be left
+    if (dimensions.E + dimensions.F >= dimensions.A) {
+      return [`winding leg F (${dimensions.F}) and window E (${dimensions.E}) leave no return leg in the core width A (${dimensions.A})`];
+    }
+    return super.getGeometryErrors({ ...dimensions, F: undefined });
+  }
+
+  getShapeBase(data) {
+    const { draw } = this.r;
+    const dimensions = data.dimensions;
+
+    const c = dimensions.C / 2;
+    const rightA = dimensions.F / 2;
+    const leftA = dimensions.A - rightA;
+
+    return draw()
+      .movePointerTo([rightA, c])
+      .lineTo([-leftA, c])
+      .lineTo([-leftA, -c])
+      .lineTo([rightA, -c])
+      .close()
+      .sketchOnPlane('XY');
+  }
+
+  getNegativeWindingWindow(dimensions) {
+    const { makeBaseBox } = this.r;
+
+    // Note: replicad's makeBaseBox starts at Z=0 (not centered)
+    return makeBaseBox(dimensions.E, dimensions.C * 2, dimensions.D)
+      .translate([
+        -(dimensions.F / 2 + dimensions.E / 2),
+        0,
+        dimensions.B - dimensions.D
+      ]);
+  }
+
+  getShapeExtras(data, piece) {
+    const dimensions = data.dimensions;
+    return this.applyEdgeFinish(data, piece.translate([0, 0, -dimensions.B]));
+  }
+
+  /**
+   * Apply machining to the winding leg (coordinates[0] = 0) or to the return leg.
+   * Note: machining.coordinates[1] is the CENTER of the gap.
+   */
+  applyMachining(piece, machining, dimensions) {
+    const { makeBaseBox } = this.r;
+    const height = machining.length;
+
+    let width = dimensions.F;
+    let xCoord = 0;
+    if (machining.coordinates[0] !== 0) {
+      width = dimensions.A - dimensions.E - dimensions.F;
+      xCoord = -(dimensions.F / 2 + dimensions.E + width / 2);
+    }
+
+    const tool = makeBaseBox(width, dimensions.C, height)
+      .translate([xCoord, 0, machining.coordinates[1] - height / 2]);
+
+    return piece.cut(tool);
+  }
+}
+
+// ==========================================================================
+// H Shape
+// ==========================================================================
+
+/**
+ * H shape - two outer legs joined by a central crossbar, with windows above and below it.
+ * Dimensions: A (width), B (height), C (depth), D (height of each window), E (window width)
+ */
+export class HShape extends ShapePiece {
+  getDimensionsAndSubtypes() {
+    return { 1: ['A', 'B', 'C', 'D', 'E'] };
+  }
+
+  getGeometryErrors(dimensions) {
+    const errors = super.getGeometryErrors(dimensions);
+    if (2 * dimensions.D >= dimensions.B) {
+      errors.push(`both windows (2 x D = ${2 * dimensions.D}) leave no crossbar in the piece height B (${dimensions.B})`);
+    }
+    return errors;
+  }
+
+  getShapeBase(data) {
+    const { sketchRectangle } = this.r;
+    const dimensions = data.dimensions;
+
+    return sketchRectangle(dimensions.A, dimensions.C);
+  }
+
+  getNegativeWindingWindow(dimensions) {
+    const { makeBaseBox } = this.r;
+
+    // Note: replicad's makeBaseBox starts at Z=0 (not centered)
+    const topWindow = makeBaseBox(dimensions.E, dimensions.C * 2, dimensions.D)
+      .translate([0, 0, dimensions.B - dimensions.D]);
+    const bottomWindow = makeBaseBox(dimensions.E, dimensions.C * 2, dimensions.D);
+
+    return topWindow.fuse(bottomWindow);
+  }
+
+  getShapeExtras(data, piece) {
+    const dimensions = data.dimensions;
+    return this.applyEdgeFinish(data, piece.translate([0, 0, -dimensions.B]));
+  }
+
+  /**
+   * Apply machining to the outer legs, or across the crossbar when coordinates[0] is inside the window.
+   * Note: machining.coordinates[1] is the CENTER of the gap.
+   */
+  applyMachining(piece, machining, dimensions) {
+    const { makeBaseBox } = this.r;
+    const length = machining.length;
+
+    if (Math.abs(machining.coordinates[0]) < dimensions.E / 2) {
+      // Crossbar gap: the flux runs along X, so the cut is thin in X
+      const crossbarHeight = dimensions.B - 2 * dimensions.D;
+      const tool = makeBaseBox(length, dimensions.C, crossbarHeight)
+        .translate([machining.coordinates[0], 0, -dimensions.B + dimensions.D]);
+      return piece.cut(tool);
+    }
+
+    const width = dimensions.A / 2;
+    const xCoord = machining.coordinates[0] < 0 ? -dimensions.A / 2 : dimensions.A / 2;
+    const tool = makeBaseBox(width, dimensions.C, length)
+      .translate([xCoord, 0, machining.coordinates[1] - length / 2]);
+
+    return piece.cut(tool);
   }
 }
 
@@ -992,6 +1640,11 @@ export class PShape extends ShapePiece {
     };
   }
 
+  getOptionalDimensions(familySubtype) {
+    // H (central hole) is only cut when given, and subtype 2 derives C from E and G
+    return familySubtype === '2' ? ['C', 'H'] : ['H'];
+  }
+
   getShapeBase(data) {
     const { sketchCircle } = this.r;
     const dimensions = data.dimensions;
@@ -1086,46 +1739,36 @@ export class PShape extends ShapePiece {
     }
     
     piece = piece.translate([0, 0, -dimensions.B]);
-    return piece;
+    return this.applyEdgeFinish(data, piece);
+  }
+
+  getCentralColumnSection(dimensions, height) {
+    return makeColumnSection(this.r, ColumnShape.Round, dimensions.F, dimensions.F, height);
   }
 
   /**
    * Apply machining (gap cutting) for P shapes.
-   * P shapes have round central columns, so we need proper central column handling.
+   * P shapes have round central columns, so the central tool is a cylinder.
    * 
    * Note: machining.coordinates[1] is the CENTER of the gap (like Python/CadQuery convention).
-   * replicad's makeBaseBox creates from Z=0 to Z=height, so we offset by -height/2 to center it.
+   * replicad primitives start at Z=0, so we offset by -height/2 to center them.
    */
   applyMachining(piece, machining, dimensions) {
-    const { makeBaseBox } = this.r;
-    
-    if (machining.coordinates[0] === 0) {
-      // Central column machining - use a box matching Python's implementation
-      // Python uses a box with width=F, length=F for central column
-      const width = dimensions.F;
-      const length = dimensions.F;
-      const height = machining.length;
-      
-      // Center the tool at zCoord
-      const tool = makeBaseBox(width, length, height)
-        .translate([0, 0, machining.coordinates[1] - height / 2]);
-      
-      return piece.cut(tool);
-    } else {
-      // Side machining - use base implementation
-      const width = dimensions.A / 2;
-      const height = machining.length;
-      
-      const xCoord = machining.coordinates[0] < 0 
-        ? -dimensions.A / 2 
-        : dimensions.A / 2;
-      
-      // Center the tool at zCoord
-      const tool = makeBaseBox(width, dimensions.A, height)
-        .translate([xCoord, 0, machining.coordinates[1] - height / 2]);
-      
-      return piece.cut(tool);
+    const gapSectionTool = this.getGapSectionTool(machining);
+    if (gapSectionTool) {
+      return piece.cut(gapSectionTool);
+    }
+
+    if (machining.coordinates[0] !== 0) {
+      // Side machining - round pieces are as deep as they are wide
+      return piece.cut(this.getLateralMachiningTool(machining, dimensions, dimensions.A));
     }
+
+    const height = machining.length;
+    const tool = this.getCentralColumnSection(dimensions, height)
+      .translate([0, 0, machining.coordinates[1] - height / 2]);
+
+    return piece.cut(tool);
   }
 }
 
@@ -1138,6 +1781,11 @@ export class PQShape extends PShape {
     return { 1: ['A', 'B', 'C', 'D', 'E', 'F', 'G'] };
   }
 
+  getOptionalDimensions() {
+    // Without G the lateral openings follow the winding window
+    return ['G'];
+  }
+
   getShapeBase(data) {
     const { draw, sketchCircle } = this.r;
     const dimensions = data.dimensions;
@@ -1245,7 +1893,21 @@ export class PQShape extends PShape {
   getShapeExtras(data, piece) {
     const dimensions = data.dimensions;
     piece = piece.translate([0, 0, -dimensions.B]);
-    return piece;
+    return this.applyEdgeFinish(data, piece);
+  }
+}
+
+// ==========================================================================
+// PQI Shape (PQ with matching plate)
+// ==========================================================================
+
+/**
+ * PQI shape - PQ piece closed by a flat plate, both from the same shape record.
+ * Dimensions: as PQ; the plate is the default one, as thick as the PQ back (B - D).
+ */
+export class PQIShape extends PQShape {
+  isPieceAndPlate() {
+    return true;
   }
 }
 
@@ -1361,7 +2023,7 @@ export class RMShape extends PShape {
     }
     
     piece = piece.translate([0, 0, -dimensions.B]);
-    return piece;
+    return this.applyEdgeFinish(data, piece);
   }
 }
 
@@ -1377,6 +2039,11 @@ export class PMShape extends PShape {
     };
   }
 
+  getOptionalDimensions() {
+    // alpha defaults per subtype, and the other dimensions only detail the openings
+    return ['H', 'b', 't', 'alpha'];
+  }
+
   getShapeBase(data) {
     const { sketchCircle } = this.r;
     const dimensions = data.dimensions;
@@ -1458,121 +2125,827 @@ export class PMShape extends PShape {
     
     // Translate so bottom is at Z=0
     piece = piece.translate([0, 0, -dimensions.B]);
-    return piece;
+    return this.applyEdgeFinish(data, piece);
   }
 }
 
 // ==========================================================================
-// Shape Factory
+// Open Cores (wound directly on the piece)
 // ==========================================================================
 
-const SHAPE_FAMILIES = {
-  't': TShape,
-  'e': EShape,
-  'c': CShape,
-  'u': UShape,
-  'ur': URShape,
-  'er': ERShape,
-  'etd': ETDShape,
-  'el': ELShape,
-  'planar_el': ELShape,
-  'planar_e': ELShape,
-  'planar_er': ERShape,
-  'eq': EQShape,
-  'ec': ECShape,
-  'ep': EPShape,
-  'epx': EPXShape,
-  'efd': EFDShape,
-  'lp': LPShape,
-  'p': PShape,
-  'pq': PQShape,
-  'rm': RMShape,
-  'pm': PMShape,
-};
-
 /**
- * Get shape builder for a given family.
- * @param {Object} replicad - Replicad module
- * @param {string} family - Shape family name
- * @returns {ShapePiece}
+ * Base class for open cores whose turns are wound directly on the piece (drums, rods).
+ * The piece is centered at Z=0 with its winding column along Z, and is neither closed by a plate nor laminated.
  */
-export function getShapeBuilder(replicad, family) {
-  const familyLower = family.toLowerCase().replace(' ', '_');
-  const ShapeClass = SHAPE_FAMILIES[familyLower];
-  
-  if (!ShapeClass) {
-    const supported = Object.keys(SHAPE_FAMILIES).join(', ');
-    throw new Error('Unknown shape family: ' + family + '. Supported: ' + supported);
+export class OpenCoreShape extends ShapePiece {
+  getShapeExtras(data, piece) {
+    // Center the piece vertically, like toroids
+    return this.applyEdgeFinish(data, piece.translate([0, 0, -data.dimensions.B / 2]));
   }
-  
-  return new ShapeClass(replicad);
-}
 
-/**
- * Create a complete core from geometrical description.
- * @param {Object} replicad - Replicad module
- * @param {Array} geometricalDescription - Array of core parts
- * @returns {Object} - Combined core shape
- */
-/**
- * Create a complete core from a MAS Geometrical Description.
- * @param {Object} replicad - Replicad module
- * @param {Array<Object>} geometricalDescription - Array of CoreGeometricalDescriptionElement from MAS
- * @returns {Object|null} - Combined core shape or null
- */
-export function getCore(replicad, geometricalDescription) {
-  if (!geometricalDescription || geometricalDescription.length === 0) {
-    return null;
+  getPlate(data) {
+    return this.rejectPlate(data);
   }
 
-  const pieces = [];
-  
-  for (const part of geometricalDescription) {
-    if (part.type === CoreGeometricalDescriptionElementType.Spacer) {
-      continue; // Spacers are handled by getSpacers()
-    }
-
-    // Every other valid part type has a shape
-    if (!part.shape) {
-        console.warn(`[MVB] Skipping core part of type '${part.type}' because it is missing a 'shape' property.`);
-        continue;
-    }
+  getLamination(data) {
+    return this.rejectLamination(data);
+  }
+
+  /**
+   * Get the full size of the column turns are wound on, and of the window around it.
+   * @param {Object} dimensions - Flattened shape dimensions
+   * @param {string} familySubtype - Shape subtype
+   * @returns {{shape: string, width: number, depth: number, windowHeight: number, windowWidth: number}}
+   */
+  getColumn(dimensions, familySubtype) {
+    throw new Error('getColumn must be implemented by subclass');
+  }
+
+  /**
+   * Get the winding column that turns are wound on, as a bobbin processed description without a bobbin.
+   * @param {Object} dimensions - Flattened shape dimensions
+   * @param {string} [familySubtype] - Shape subtype
+   * @returns {Object} - CoreBobbinProcessedDescription-like object with zero thickness
+   */
+  getWindingColumn(dimensions, familySubtype = '1') {
+    const column = this.getColumn(dimensions, familySubtype);
+
+    return {
+      columnShape: column.shape,
+      columnWidth: column.width / 2,
+      columnDepth: column.depth / 2,
+      columnThickness: 0,
+      wallThickness: 0,
+      windingWindows: [{
+        height: column.windowHeight,
+        width: column.windowWidth
+      }]
+    };
+  }
+}
+
+// ==========================================================================
+// Drum Shape (SMD power inductor ferrite)
+// ==========================================================================
+
+/**
+ * Drum shape - bobbin-like ferrite with a central barrel between two flanges.
+ * Dimensions: A (flange diameter), B (total height), D (winding height between flanges),
+ * F (barrel diameter), G (optional distance across the flange flats)
+ */
+export class DrumShape extends OpenCoreShape {
+  getDimensionsAndSubtypes() {
+    return {
+      1: ['A', 'B', 'D', 'F'],
+      2: ['A', 'B', 'D', 'F', 'G']
+    };
+  }
+
+  getOptionalDimensions() {
+    // G (flange flats) is only cut when given
+    return ['G'];
+  }
+
+  getShapeBase(data) {
+    const { sketchCircle } = this.r;
+    const dimensions = data.dimensions;
+
+    // Flange outline, the winding window is cut away afterwards
+    return sketchCircle(dimensions.A / 2);
+  }
+
+  getNegativeWindingWindow(dimensions) {
+    const { makeCylinder } = this.r;
+    const flangeThickness = (dimensions.B - dimensions.D) / 2;
+
+    // Annular space between both flanges
+    // Note: replicad's makeCylinder starts at Z=0 (not centered)
+    const windingWindowCylinder = makeCylinder(dimensions.A / 2, dimensions.D)
+      .translate([0, 0, flangeThickness]);
+
+    const barrelCylinder = makeCylinder(dimensions.F / 2, dimensions.D)
+      .translate([0, 0, flangeThickness]);
+
+    return windingWindowCylinder.cut(barrelCylinder);
+  }
+
+  getShapeExtras(data, piece) {
+    const { makeBaseBox } = this.r;
+    const dimensions = data.dimensions;
+
+    // Flange cut-outs: two flats at ±Y leaving G across them
+    if (dimensions.G && dimensions.G > dimensions.F && dimensions.G < dimensions.A) {
+      const cutDepth = (dimensions.A - dimensions.G) / 2;
+
+      const topFlat = makeBaseBox(dimensions.A, cutDepth, dimensions.B)
+        .translate([0, dimensions.G / 2 + cutDepth / 2, 0]);
+      const bottomFlat = makeBaseBox(dimensions.A, cutDepth, dimensions.B)
+        .translate([0, -(dimensions.G / 2 + cutDepth / 2), 0]);
+
+      piece = piece.cut(topFlat).cut(bottomFlat);
+    }
+
+    return super.getShapeExtras(data, piece);
+  }
+
+  getStackDepth(data) {
+    const dimensions = data.dimensions;
+    // The flats are across Y
+    return dimensions.G > dimensions.F && dimensions.G < dimensions.A ? dimensions.G : dimensions.A;
+  }
+
+  /**
+   * Apply machining to the barrel.
+   * Note: machining.coordinates[1] is the CENTER of the gap.
+   */
+  applyMachining(piece, machining, dimensions) {
+    const { makeCylinder } = this.r;
+    const height = machining.length;
+
+    const tool = makeCylinder(dimensions.F / 2, height)
+      .translate([0, 0, machining.coordinates[1] - height / 2]);
+
+    return piece.cut(tool);
+  }
+
+  getColumn(dimensions) {
+    // Turns wind on the barrel, between the flanges
+    return {
+      shape: 'round',
+      width: dimensions.F,
+      depth: dimensions.F,
+      windowHeight: dimensions.D,
+      windowWidth: (dimensions.A - dimensions.F) / 2
+    };
+  }
+}
+
+// ==========================================================================
+// Rod Shape (open ferrite rod)
+// ==========================================================================
+
+/**
+ * Rod shape - straight ferrite rod for antennas and EMI chokes.
+ * Subtype 1 (round): A (diameter), B (length)
+ * Subtype 2 (rectangular): A (width), B (length), C (depth)
+ */
+export class RodShape extends OpenCoreShape {
+  getDimensionsAndSubtypes() {
+    return {
+      1: ['A', 'B'],
+      2: ['A', 'B', 'C']
+    };
+  }
+
+  _isRectangular(data) {
+    return (data.familySubtype || '1') === '2';
+  }
+
+  getShapeBase(data) {
+    const { sketchCircle, sketchRectangle } = this.r;
+    const dimensions = data.dimensions;
+
+    if (this._isRectangular(data)) {
+      return sketchRectangle(dimensions.A, dimensions.C);
+    }
+    return sketchCircle(dimensions.A / 2);
+  }
+
+  /**
+   * Apply machining (a cut through the whole rod cross-section).
+   * Note: machining.coordinates[1] is the CENTER of the gap.
+   */
+  applyMachining(piece, machining, dimensions) {
+    const { makeBaseBox } = this.r;
+    const height = machining.length;
+    const depth = dimensions.C || dimensions.A;
+
+    const tool = makeBaseBox(dimensions.A, depth, height)
+      .translate([0, 0, machining.coordinates[1] - height / 2]);
+
+    return piece.cut(tool);
+  }
+
+  getColumn(dimensions, familySubtype) {
+    // Turns wind along the whole rod
+    const isRectangular = familySubtype === '2';
+    return {
+      shape: isRectangular ? 'rectangular' : 'round',
+      width: dimensions.A,
+      depth: isRectangular ? dimensions.C : dimensions.A,
+      windowHeight: dimensions.B,
+      windowWidth: dimensions.A / 2
+    };
+  }
+}
+
+// ==========================================================================
+// Custom Shape (user-supplied outline)
+// ==========================================================================
+
+/**
+ * Custom shape - non-catalog piece drawn from a user-supplied outline.
+ * Besides its family, the shape record carries:
+ *   profile: closed outline in the front plane of the piece, in meters, as [x, height] points with x = 0 on
+ *     the central column axis. Entries after the first are a line to [x, height] or a three point arc
+ *     { through: [x, height], to: [x, height] }. The outline is closed back to its first point.
+ *   windingWindow: optional outline, or list of outlines, cut from the piece in the same plane
+ *   extrusion: { type: 'extrude', length } along the depth, centered at Y=0, or
+ *     { type: 'revolve', angle } around the central column axis, in degrees (360 by default)
+ *
+ * Like the catalog pieces, the piece is placed with its top (the mating face) at Z=0.
+ * Dimensions are optional: A (width), B (height) and C (depth) default to the extent of the piece,
+ * and machining without a gap section needs F (central column width). The central column is then
+ * taken round, or rectangular F x F2 when F2 (central column depth) is given.
+ */
+export class CustomShape extends ShapePiece {
+  getDimensionsAndSubtypes() {
+    return { 1: [] };
+  }
+
+  /**
+   * Draw a closed outline of points and three point arcs.
+   * @param {Array} outline - Outline entries, see the class description
+   * @returns {Object} - Replicad drawing
+   */
+  drawOutline(outline) {
+    const { draw } = this.r;
+    if (!Array.isArray(outline) || outline.length < 3 || !Array.isArray(outline[0])) {
+      throw new Error('Custom shape outlines need a starting [x, height] point and at least two segments');
+    }
+
+    const [start, ...segments] = outline;
+    let pen = draw(start);
+    segments.forEach((segment, index) => {
+      const isLast = index === segments.length - 1;
+      if (Array.isArray(segment)) {
+        // Closing back to the start is left to close()
+        if (!(isLast && segment[0] === start[0] && segment[1] === start[1])) {
+          pen = pen.lineTo(segment);
+        }
+      } else if (segment && Array.isArray(segment.through) && Array.isArray(segment.to)) {
+        pen = pen.threePointsArcTo(segment.to, segment.through);
+      } else {
+        throw new Error(`Invalid custom shape outline segment at index ${index + 1}: expected [x, height] or { through, to }`);
+      }
+    });
+
+    return pen.close();
+  }
+
+  /**
+   * Turn an outline into a solid following the extrusion definition of the shape.
+   * @param {Array} outline - Outline entries
+   * @param {Object} extrusion - { type: 'extrude', length } or { type: 'revolve', angle }
+   * @returns {Object} - Replicad shape
+   */
+  makeSolid(outline, extrusion) {
+    const { revolution } = this.r;
+    // The front plane: outline x along X and height along Z, extruded towards -Y
+    const sketch = this.drawOutline(outline).sketchOnPlane('XZ');
+
+    if (extrusion.type === 'revolve') {
+      const angle = extrusion.angle > 0 ? extrusion.angle : 360;
+      return revolution(sketch.face(), [0, 0, 0], [0, 0, 1], angle);
+    }
+
+    if (!(extrusion.length > 0)) {
+      throw new Error('Extruded custom shapes need a positive extrusion length');
+    }
+    return sketch.extrude(extrusion.length).translate([0, extrusion.length / 2, 0]);
+  }
+
+  getShapeBase(data) {
+    // Not used for custom shapes - getPiece is overridden
+    return null;
+  }
+
+  getPiece(data) {
+    const extrusion = data.extrusion || {};
+    if (extrusion.type !== 'extrude' && extrusion.type !== 'revolve') {
+      throw new Error(`Custom shape extrusion type must be 'extrude' or 'revolve', got '${extrusion.type}'`);
+    }
+
+    let piece = this.makeSolid(data.profile, extrusion);
+
+    if (data.windingWindow) {
+      const windows = typeof data.windingWindow[0][0] === 'number' ? [data.windingWindow] : data.windingWindow;
+      for (const window of windows) {
+        piece = piece.cut(this.makeSolid(window, extrusion));
+      }
+    }
+
+    return this.getShapeExtras({ ...data, dimensions: this.getPieceDimensions(data.dimensions, piece) }, piece);
+  }
+
+  /**
+   * Complete the dimensions of the shape record with the extent of the piece.
+   * @param {Object} dimensions - Flattened shape dimensions
+   * @param {Object} piece - 3D piece
+   * @returns {Object} - Dimensions with A, B and C
+   */
+  getPieceDimensions(dimensions, piece) {
+    const bounds = piece.boundingBox.bounds;
+    return {
+      A: 2 * Math.max(Math.abs(bounds[0][0]), Math.abs(bounds[1][0])),
+      B: bounds[1][2] - bounds[0][2],
+      C: bounds[1][1] - bounds[0][1],
+      ...dimensions
+    };
+  }
+
+  getShapeExtras(data, piece) {
+    // Translate so the top of the outline is at Z=0
+    const top = piece.boundingBox.bounds[1][2];
+    return this.applyEdgeFinish(data, piece.translate([0, 0, -top]));
+  }
+
+  getPlate(data) {
+    // The outline is free form, so there is no footprint to close
+    return this.rejectPlate(data);
+  }
+
+  getStackDepth(data) {
+    if (data.dimensions.C > 0) {
+      return data.dimensions.C;
+    }
+    const extrusion = data.extrusion || {};
+    if (extrusion.type === 'extrude') {
+      return extrusion.length;
+    }
+    // Revolved outlines are as deep as they are wide
+    const points = (data.profile || []).map((entry) => (Array.isArray(entry) ? entry : entry.to));
+    return 2 * Math.max(...points.map((point) => Math.abs(point[0])));
+  }
+
+  getCentralColumnSection(dimensions, height) {
+    if (dimensions.F2 > 0) {
+      return makeColumnSection(this.r, ColumnShape.Rectangular, dimensions.F, dimensions.F2, height);
+    }
+    return makeColumnSection(this.r, ColumnShape.Round, dimensions.F, dimensions.F, height);
+  }
+
+  /**
+   * Apply machining (gap) to the piece, like E shapes.
+   * Note: machining.coordinates[1] is the CENTER of the gap.
+   */
+  applyMachining(piece, machining, dimensions) {
+    const gapSectionTool = this.getGapSectionTool(machining);
+    if (gapSectionTool) {
+      return piece.cut(gapSectionTool);
+    }
+
+    if (!(dimensions.F > 0)) {
+      throw new Error('Custom shapes need dimension F (central column width) for machining without a gap section');
+    }
+
+    const pieceDimensions = this.getPieceDimensions(dimensions, piece);
+    if (machining.coordinates[0] !== 0) {
+      return piece.cut(this.getLateralMachiningTool(machining, pieceDimensions, pieceDimensions.C * 2));
+    }
+
+    const height = machining.length;
+    const tool = this.getCentralColumnSection(pieceDimensions, height)
+      .translate([0, 0, machining.coordinates[1] - height / 2]);
+
+    return piece.cut(tool);
+  }
+}
+
+// ==========================================================================
+// Shape Factory
+// ==========================================================================
+
+const SHAPE_FAMILIES = {
+  't': TShape,
+  'e': EShape,
+  'ei': EIShape,
+  'c': CShape,
+  'u': UShape,
+  'ur': URShape,
+  'ui': UIShape,
+  'ut': UTShape,
+  'h': HShape,
+  'er': ERShape,
+  'etd': ETDShape,
+  'el': ELShape,
+  'elp': ELShape,
+  'planar_el': ELShape,
+  'planar_e': ELShape,
+  'planar_er': ERShape,
+  'eq': EQShape,
+  'ec': ECShape,
+  'ep': EPShape,
+  'epx': EPXShape,
+  'efd': EFDShape,
+  'lp': LPShape,
+  'p': PShape,
+  'pq': PQShape,
+  'pqi': PQIShape,
+  'rm': RMShape,
+  'pm': PMShape,
+  'drum': DrumShape,
+  'rod': RodShape,
+  'custom': CustomShape,
+};
+
+// Third-party families added with registerShapeFamily, looked up after the built-in ones
+const REGISTERED_FAMILIES = {};
+
+// Methods getCore and the helpers it calls use on every shape builder
+const SHAPE_PIECE_CONTRACT = [
+  'getDimensionsAndSubtypes', 'getPiece', 'applyMachining', 'getPlate', 'getSheet', 'getLamination',
+  'getStackDepth', 'getEdgeRadius'
+];
+
+/**
+ * Normalize a family name the way shape records spell it ('Planar E' -> 'planar_e').
+ * @param {string} family - Shape family name
+ * @returns {string}
+ */
+function normalizeFamily(family) {
+  return family.toLowerCase().replace(' ', '_');
+}
+
+/**
+ * Register a third-party shape family, so getShapeBuilder, getSupportedFamilies and getCore build it.
+ * The class is constructed with the replicad module and must implement the ShapePiece contract;
+ * extending ShapePiece and implementing getShapeBase (or getPiece) is enough.
+ * @param {string} name - Shape family name, as found in CoreShape.family
+ * @param {Function} ShapeClass - Shape piece class
+ */
+export function registerShapeFamily(name, ShapeClass) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error('Shape family name must be a non-empty string');
+  }
+  const family = normalizeFamily(name.trim());
+  if (SHAPE_FAMILIES[family]) {
+    throw new Error(`Shape family '${family}' is built in and cannot be registered`);
+  }
+  if (typeof ShapeClass !== 'function' || !ShapeClass.prototype) {
+    throw new Error(`Shape family '${family}' must be registered with a class`);
+  }
+
+  const missing = SHAPE_PIECE_CONTRACT.filter((method) => typeof ShapeClass.prototype[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Shape family '${family}' does not implement the ShapePiece contract, missing: ${missing.join(', ')}`);
+  }
+  if (ShapeClass.prototype.getPiece === ShapePiece.prototype.getPiece &&
+      ShapeClass.prototype.getShapeBase === ShapePiece.prototype.getShapeBase) {
+    throw new Error(`Shape family '${family}' must implement getShapeBase or getPiece`);
+  }
+
+  REGISTERED_FAMILIES[family] = ShapeClass;
+}
+
+/**
+ * Remove a shape family added with registerShapeFamily.
+ * @param {string} name - Shape family name
+ * @returns {boolean} - True if the family was registered
+ */
+export function unregisterShapeFamily(name) {
+  const family = normalizeFamily(name);
+  if (SHAPE_FAMILIES[family]) {
+    throw new Error(`Shape family '${family}' is built in and cannot be unregistered`);
+  }
+  if (!REGISTERED_FAMILIES[family]) {
+    return false;
+  }
+  delete REGISTERED_FAMILIES[family];
+  return true;
+}
+
+/**
+ * Get shape builder for a given family.
+ * @param {Object} replicad - Replicad module
+ * @param {string} family - Shape family name, built in or registered
+ * @returns {ShapePiece}
+ */
+export function getShapeBuilder(replicad, family) {
+  const familyLower = normalizeFamily(family);
+  const ShapeClass = SHAPE_FAMILIES[familyLower] || REGISTERED_FAMILIES[familyLower];
+  
+  if (!ShapeClass) {
+    const supported = getSupportedFamilies().join(', ');
+    throw new Error('Unknown shape family: ' + family + '. Supported: ' + supported);
+  }
+  
+  return new ShapeClass(replicad);
+}
+
+// Residual gap left between half-sets and the pieces closing them
+const RESIDUAL_GAP = 5e-6; // This is a physical constant, not a magic number
+
+/**
+ * Add the I-bar plate of piece-and-plate families (see ShapePiece.isPieceAndPlate) when the description only lists the piece.
+ * The plate shares the piece's shape record, coordinates and elementIndex, facing it from the other side of the joint.
+ * @param {Object} replicad - Replicad module
+ * @param {Array<Object>} geometricalDescription - Array of CoreGeometricalDescriptionElement from MAS
+ * @returns {Array<Object>} - Geometrical description including the plates
+ */
+function addMatingPlates(replicad, geometricalDescription) {
+  const hasPlate = geometricalDescription.some(
+    (part) => part.type === CoreGeometricalDescriptionElementType.Plate
+  );
+  if (hasPlate) {
+    return geometricalDescription;
+  }
+
+  const result = [];
+  for (const part of geometricalDescription) {
+    result.push(part);
+
+    // Sheets carry their own I-bar, see ShapePiece.getSheet
+    if (part.type !== CoreGeometricalDescriptionElementType.HalfSet || !part.shape?.family) {
+      continue;
+    }
+
+    const shapeBuilder = getShapeBuilder(replicad, part.shape.family);
+    if (typeof shapeBuilder.isPieceAndPlate === 'function' && shapeBuilder.isPieceAndPlate()) {
+      // Flip around X to face the piece, keeping its other rotations so asymmetric sets (UI) line up
+      const rotation = part.rotation && part.rotation.length >= 3 ? part.rotation : [0, 0, 0];
+      result.push({
+        type: CoreGeometricalDescriptionElementType.Plate,
+        shape: part.shape,
+        material: part.material,
+        coordinates: part.coordinates,
+        rotation: [rotation[0] > 0 ? 0 : Math.PI, rotation[1], rotation[2]],
+        elementIndex: part.elementIndex
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Cut a lamination sheet out of a solid lamination, with a slab thickness deep along Y.
+ * @param {Object} replicad - Replicad module
+ * @param {Object} lamination - Solid lamination, see ShapePiece.getLamination (not consumed)
+ * @param {number} thickness - Sheet thickness along the depth axis
+ * @param {number} offset - Position of the sheet from the middle of the lamination, along Y
+ * @returns {Object} - Replicad shape
+ */
+function cutSheet(replicad, lamination, thickness, offset) {
+  const { makeBaseBox } = replicad;
+  const [lowest, highest] = lamination.boundingBox.bounds;
+  const width = highest[0] - lowest[0];
+  const height = highest[2] - lowest[2];
+
+  // Slab twice as wide and tall as the lamination, so only its depth cuts
+  const slab = makeBaseBox(width * 2, thickness, height * 2)
+    .translate([(lowest[0] + highest[0]) / 2, (lowest[1] + highest[1]) / 2 + offset, lowest[2] - height / 2]);
+  return lamination.clone().intersect(slab);
+}
+
+/**
+ * Split a piece into a stack of lamination sheets along the depth axis, sliced out of the whole piece.
+ * @param {Object} replicad - Replicad module
+ * @param {ShapePiece} shapeBuilder - Builder of the piece family
+ * @param {Object} shapeData - Shape data (must have 'dimensions' already flattened)
+ * @param {Object} lamination - Lamination options, see getCore
+ * @returns {Object} - Compound of sheets
+ * @throws {ShapeDimensionError} - When the family is not laminated
+ */
+function getLaminationStack(replicad, shapeBuilder, shapeData, lamination) {
+  const { makeCompound } = replicad;
+  const solid = shapeBuilder.getLamination(shapeData);
+  const bounds = solid.boundingBox.bounds;
+  const stackingFactor = lamination.stackingFactor || 0.95;
+  const pitch = lamination.thickness / stackingFactor;
+  const numberSheets = Math.max(1, Math.floor((bounds[1][1] - bounds[0][1]) / pitch + 1e-9));
+  const isPieceAndPlate = typeof shapeBuilder.isPieceAndPlate === 'function' && shapeBuilder.isPieceAndPlate();
+  const zCenter = (bounds[0][2] + bounds[1][2]) / 2;
+
+  const sheets = [];
+  for (let i = 0; i < numberSheets; i++) {
+    const offset = (i - (numberSheets - 1) / 2) * pitch;
+    let sheet = cutSheet(replicad, solid, lamination.thickness, offset);
+
+    // Interleaved EI/UI stacking alternates the side of the I-bar from one sheet to the next
+    if (lamination.interleaved && isPieceAndPlate && i % 2 === 1) {
+      const yCenter = (bounds[0][1] + bounds[1][1]) / 2 + offset;
+      sheet = sheet.rotate(180, [0, yCenter, zCenter], [1, 0, 0]);
+    }
+
+    sheets.push(sheet);
+  }
+  solid.delete();
+
+  return makeCompound(sheets);
+}
+
+/**
+ * Get how many copies of each piece are needed along the depth axis to honor numberStacks.
+ * Descriptions that already place their pieces at several depths (one element per stack) need none.
+ * @param {Array<Object>} geometricalDescription - Array of CoreGeometricalDescriptionElement from MAS
+ * @param {number} numberStacks - CoreFunctionalDescription.numberStacks
+ * @returns {number} - Number of copies of each piece (1 when nothing has to be replicated)
+ */
+export function getStackCopies(geometricalDescription, numberStacks) {
+  if (!numberStacks || numberStacks <= 1 || !geometricalDescription) {
+    return 1;
+  }
+
+  const depths = new Set();
+  for (const part of geometricalDescription) {
+    if (part.type === CoreGeometricalDescriptionElementType.Spacer) {
+      continue;
+    }
+    const depth = part.coordinates && part.coordinates.length >= 3 ? part.coordinates[2] : 0;
+    depths.add(Math.round(depth * 1e9));
+  }
+
+  return depths.size > 1 ? 1 : numberStacks;
+}
+
+/**
+ * Get the pitch stacked cores repeat their pieces at along the depth axis: the depth of their shape.
+ * @param {Object} replicad - Replicad module
+ * @param {Array<Object>} geometricalDescription - Array of CoreGeometricalDescriptionElement from MAS
+ * @returns {number} - Pitch in meters, 0 if the description has no shape
+ */
+export function getStackPitch(replicad, geometricalDescription) {
+  for (const part of geometricalDescription || []) {
+    if (part.type === CoreGeometricalDescriptionElementType.Spacer || !part.shape?.family) {
+      continue;
+    }
+    const shapeBuilder = getShapeBuilder(replicad, part.shape.family);
+    return shapeBuilder.getStackDepth({ ...part.shape, dimensions: flattenDimensions(part.shape) });
+  }
+  return 0;
+}
+
+/**
+ * Resolve the toleranced shape dimensions of a description once, following a dimension policy.
+ * Parts of the same shape share the resolved values, so the mating halves of a set get one random sample,
+ * even when each half carries its own copy of the shape record. Shapes are matched by name, or by record when unnamed.
+ * @param {Array<Object>} geometricalDescription - Array of CoreGeometricalDescriptionElement from MAS
+ * @param {string} policy - DimensionPolicy: 'nominal', 'minimum', 'maximum' or 'random'
+ * @param {Function} [rng] - Random number generator in [0, 1) for the random policy
+ * @returns {Array<Object>} - Description whose shape dimensions are plain numbers
+ */
+export function applyDimensionPolicy(geometricalDescription, policy, rng = Math.random) {
+  const resolvedShapes = new Map();
+
+  return geometricalDescription.map((part) => {
+    if (!part.shape || !part.shape.dimensions) {
+      return part;
+    }
+    const key = part.shape.name || part.shape;
+    if (!resolvedShapes.has(key)) {
+      resolvedShapes.set(key, { ...part.shape, dimensions: flattenDimensions(part.shape, policy, rng) });
+    }
+    return { ...part, shape: resolvedShapes.get(key) };
+  });
+}
+
+/**
+ * Create a complete core from a MAS Geometrical Description.
+ * @param {Object} replicad - Replicad module
+ * @param {Array<Object>} geometricalDescription - Array of CoreGeometricalDescriptionElement from MAS
+ * @param {Object} [options] - Build options
+ * @param {Object} [options.lamination] - Split pieces into sheets: { thickness, stackingFactor = 0.95, interleaved = false }, toroids, drums and rods are not laminated
+ * @param {number} [options.numberStacks] - CoreFunctionalDescription.numberStacks, pieces are replicated along the depth axis
+ * @param {Array<Object>} [options.gapping] - CoreFunctionalDescription.gapping, machines half sets that have no machining
+ * @param {Object} [options.edgeFinish] - Round or chamfer piece edges: { type: 'fillet' | 'chamfer', radius }, default radius per family
+ * @param {string} [options.dimensionPolicy] - Tolerance corner to build: 'nominal' (default), 'minimum', 'maximum' or 'random'
+ * @param {Function} [options.rng] - Random number generator in [0, 1) for the random policy, Math.random by default
+ * @param {boolean} [options.assembly] - Keep the pieces as separate bodies instead of fusing them
+ *
+ * Distributed gaps are the subtractive gaps of the functional gapping that share a column, see
+ * expandDistributedGaps. The fill pieces they cut off the column are separate assembly pieces, named
+ * after their piece, and stay in the fused core otherwise.
+ *
+ * Assembly pieces are { shape, name, elementIndex, type, family, material, transform }, where elementIndex
+ * points into the geometrical description (added plates share the index of their piece) and transform is
+ * { rotation, translation }: the MAS rotation in radians and the translation in mm, in replicad axes.
+ * @returns {Object|Array<Object>|null} - Combined core shape, assembly pieces with options.assembly, or null
+ * @throws {ShapeDimensionError} - When a part has missing, invalid or inconsistent dimensions
+ */
+export function getCore(replicad, geometricalDescription, options = {}) {
+  if (!geometricalDescription || geometricalDescription.length === 0) {
+    return null;
+  }
+
+  if (options.dimensionPolicy) {
+    geometricalDescription = applyDimensionPolicy(geometricalDescription, options.dimensionPolicy, options.rng);
+  }
+
+  const { makeCompound } = replicad;
+  const lamination = options.lamination && options.lamination.thickness > 0 ? options.lamination : null;
+  const stackCopies = getStackCopies(geometricalDescription, options.numberStacks);
+  const distributedGapsHeight = getDistributedGapsHeight(geometricalDescription);
+  const pieces = [];
+  const assemblyPieces = [];
+
+  // Laminated sheets carry their own I-bar, so no plates are added for them
+  const indexedDescription = geometricalDescription.map((part, elementIndex) => ({ ...part, elementIndex }));
+  const parts = lamination ? indexedDescription : addMatingPlates(replicad, indexedDescription);
+
+  for (const part of parts) {
+    if (part.type === CoreGeometricalDescriptionElementType.Spacer) {
+      continue; // Spacers are handled by getSpacers()
+    }
+
+    // Every other valid part type has a shape
+    if (!part.shape) {
+        console.warn(`[MVB] Skipping core part of type '${part.type}' because it is missing a 'shape' property.`);
+        continue;
+    }
 
     const flattenedDimensions = flattenDimensions(part.shape);
 
     const shapeBuilder = getShapeBuilder(replicad, part.shape.family);
-    let piece = shapeBuilder.getPiece({ ...part.shape, dimensions: flattenedDimensions });
+    const shapeData = { ...part.shape, dimensions: flattenedDimensions, edgeFinish: options.edgeFinish };
+    // Catch missing or inconsistent dimensions before they turn into NaN geometry or OCC errors
+    if (typeof shapeBuilder.validateDimensions === 'function') {
+      shapeBuilder.validateDimensions(shapeData);
+    }
+    let piece;
+    if (part.type === CoreGeometricalDescriptionElementType.Plate) {
+      piece = shapeBuilder.getPlate(shapeData);
+    } else if (part.type === CoreGeometricalDescriptionElementType.Sheet) {
+      // MAS dimensions: [width, height, depth], the depth being the sheet thickness
+      const thickness = part.dimensions && part.dimensions[2] ? part.dimensions[2] : flattenedDimensions.C;
+      piece = shapeBuilder.getSheet(shapeData, thickness);
+    } else if (lamination) {
+      piece = getLaminationStack(replicad, shapeBuilder, shapeData, lamination);
+    } else {
+      piece = shapeBuilder.getPiece(shapeData);
+    }
 
     const rotation = part.rotation;
-    if (rotation && rotation.length >= 3) {
-      const rotX = -(rotation[0] / Math.PI) * 180;
-      const rotZ = -(rotation[1] / Math.PI) * 180;
-      const rotY = -(rotation[2] / Math.PI) * 180;
-      
-      if (rotX !== 0) piece = piece.rotate(rotX, [0, 0, 0], [1, 0, 0]);
-      if (rotZ !== 0) piece = piece.rotate(rotZ, [0, 0, 0], [0, 0, 1]);
-      if (rotY !== 0) piece = piece.rotate(rotY, [0, 0, 0], [0, 1, 0]);
+    piece = applyMasRotation(piece, rotation);
+    
+    let partMachining = part.machining;
+    const isHalfSet = part.type === CoreGeometricalDescriptionElementType.HalfSet;
+    const hasMachining = partMachining && partMachining.length > 0;
+    if (!hasMachining && options.gapping && isHalfSet) {
+      partMachining = getMachiningFromGapping(part, options.gapping, distributedGapsHeight);
+    } else if (!hasMachining && options.gapping && part.type === CoreGeometricalDescriptionElementType.Toroidal) {
+      partMachining = getToroidalMachiningFromGapping(options.gapping);
     }
-    
-    if (part.machining) {
-      for (const machining of part.machining) {
+
+    if (partMachining) {
+      for (const machining of partMachining) {
         if (machining.coordinates) {
           piece = shapeBuilder.applyMachining(piece, machining, flattenedDimensions);
         }
       }
     }
-    
-    piece = piece.translate(convertAxis(part.coordinates));
-    
-    // Residual gap for half-sets
-    if (part.type === CoreGeometricalDescriptionElementType.HalfSet && rotation && rotation.length > 0) {
-      const residualGap = 5e-6; // This is a physical constant, not a magic number
-      piece = piece.translate([0, 0, rotation[0] > 0 ? residualGap / 2 : -residualGap / 2]);
+
+    // Gaps splitting a column cut fill pieces off it, which assemblies keep as bodies of their own
+    let bodies = [piece];
+    if (options.assembly && !lamination && partMachining && getSplitColumnGaps(partMachining).length > 0) {
+      bodies = splitFillPieces(replicad, piece);
     }
+
+    const translation = convertAxis(part.coordinates);
     
-    pieces.push(piece);
+    // Residual gap for half-sets and the plates closing them
+    const isJoined = part.type === CoreGeometricalDescriptionElementType.HalfSet ||
+                     part.type === CoreGeometricalDescriptionElementType.Plate;
+    if (isJoined && rotation && rotation.length > 0) {
+      translation[2] += rotation[0] > 0 ? RESIDUAL_GAP / 2 : -RESIDUAL_GAP / 2;
+    }
+
+    bodies.forEach((body, bodyIndex) => {
+      // Stacks are laid side by side along the depth (Y), centered, once the piece is machined
+      if (stackCopies > 1) {
+        const pitch = shapeBuilder.getStackDepth(shapeData);
+        const stacks = [];
+        for (let i = 0; i < stackCopies; i++) {
+          stacks.push(body.clone().translate([0, (i - (stackCopies - 1) / 2) * pitch, 0]));
+        }
+        body = makeCompound(stacks);
+      }
+      body = body.translate(translation);
+
+      if (options.assembly) {
+        const family = part.shape.family;
+        const name = `${part.shape.name || family} ${part.type} ${part.elementIndex}`;
+        assemblyPieces.push({
+          shape: body.scale(1000),
+          name: bodyIndex > 0 ? `${name} fill piece ${bodyIndex - 1}` : name,
+          elementIndex: part.elementIndex,
+          type: part.type,
+          family,
+          material: part.material,
+          transform: {
+            rotation: rotation ? [...rotation] : [0, 0, 0],
+            translation: translation.map((value) => value * 1000)
+          }
+        });
+      } else {
+        pieces.push(body);
+      }
+    });
   }
   
+  if (options.assembly) {
+    return assemblyPieces.length > 0 ? assemblyPieces : null;
+  }
   if (pieces.length === 0) {
     return null;
   }
@@ -1588,22 +2961,364 @@ export function getCore(replicad, geometricalDescription) {
   return result;
 }
 
+// Typical thickness of each core coating, in meters
+const COATING_THICKNESS = {
+  [Coating.Epoxy]: 0.2e-3,
+  [Coating.Parylene]: 0.02e-3,
+};
+
+/**
+ * Get the thickness of a core coating.
+ * @param {string} [coating] - CoreFunctionalDescription.coating
+ * @param {number} [thickness] - Explicit thickness in meters, overrides the typical thickness of the coating (0 disables it)
+ * @returns {number} - Thickness in meters, 0 for uncoated cores
+ */
+export function getCoatingThickness(coating, thickness) {
+  if (thickness !== undefined && thickness !== null) {
+    return Math.max(0, thickness);
+  }
+  if (!coating) {
+    return 0;
+  }
+  return COATING_THICKNESS[String(coating).toLowerCase()] || 0;
+}
+
+/**
+ * Build the coating shell around a core, as a separate body.
+ * Each solid of the core is offset outwards by the coating thickness and the core is cut from the result.
+ * @param {Object} replicad - Replicad module
+ * @param {Object} core - Core shape from getCore, in mm
+ * @param {number} thickness - Coating thickness in meters, see getCoatingThickness
+ * @returns {Object|null} - Coating shape in mm or null if the core is not coated
+ */
+export function getCoating(replicad, core, thickness) {
+  if (!core || !(thickness > 0)) {
+    return null;
+  }
+
+  const { iterTopo, cast, getOC } = replicad;
+  const oc = getOC();
+  const SCALE = 1000;
+  const offset = thickness * SCALE;
+
+  let coated = null;
+  for (const solid of iterTopo(core.wrapped, 'solid')) {
+    const maker = new oc.BRepOffsetAPI_MakeOffsetShape();
+    const progress = new oc.Message_ProgressRange_1();
+    try {
+      // Intersection mode keeps the offset faces of concave corners (winding windows) trimmed against each other
+      maker.PerformByJoin(solid, offset, 1e-4, oc.BRepOffset_Mode.BRepOffset_Skin, true, false,
+        oc.GeomAbs_JoinType.GeomAbs_Arc, false, progress);
+      if (!maker.IsDone()) {
+        throw new Error('offset of a core solid failed');
+      }
+      const grown = cast(maker.Shape());
+      coated = coated ? coated.fuse(grown) : grown;
+    } finally {
+      maker.delete();
+      progress.delete();
+    }
+  }
+
+  if (!coated) {
+    return null;
+  }
+  return coated.cut(core.clone());
+}
+
+/**
+ * Get the edge radius of the toroidal core of a description, that turns have to bend around.
+ * @param {Object} replicad - Replicad module
+ * @param {Array<Object>} geometricalDescription - Array of CoreGeometricalDescriptionElement from MAS
+ * @param {Object} [edgeFinish] - Edge finish passed to getCore
+ * @returns {number} - Radius in meters, 0 for sharp edges or non-toroidal cores
+ */
+export function getToroidalEdgeRadius(replicad, geometricalDescription, edgeFinish) {
+  if (!edgeFinish || !geometricalDescription) {
+    return 0;
+  }
+
+  for (const part of geometricalDescription) {
+    if (part.type !== CoreGeometricalDescriptionElementType.Toroidal || !part.shape?.family) {
+      continue;
+    }
+    const shapeBuilder = getShapeBuilder(replicad, part.shape.family);
+    return shapeBuilder.getEdgeRadius({ ...part.shape, dimensions: flattenDimensions(part.shape), edgeFinish });
+  }
+
+  return 0;
+}
+
 /**
- * Get list of supported shape families.
+ * Get list of supported shape families, including registered ones.
  * @returns {string[]}
  */
 export function getSupportedFamilies() {
-  return Object.keys(SHAPE_FAMILIES);
+  return [...Object.keys(SHAPE_FAMILIES), ...Object.keys(REGISTERED_FAMILIES)];
+}
+
+/**
+ * Get the winding column of open cores whose turns are wound directly on the core (drums, rods).
+ * @param {Object} replicad - Replicad module
+ * @param {Array<Object>} geometricalDescription - Array of CoreGeometricalDescriptionElement from MAS
+ * @returns {Object|null} - Bobbin processed description for the column, or null if the core has none
+ */
+export function getWindingColumn(replicad, geometricalDescription) {
+  if (!geometricalDescription) {
+    return null;
+  }
+
+  for (const part of geometricalDescription) {
+    if (part.type === CoreGeometricalDescriptionElementType.Spacer || !part.shape?.family) {
+      continue;
+    }
+
+    const shapeBuilder = getShapeBuilder(replicad, part.shape.family);
+    if (typeof shapeBuilder.getWindingColumn === 'function') {
+      return shapeBuilder.getWindingColumn(flattenDimensions(part.shape), part.shape.familySubtype || '1');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a solid with the cross-section of a column, starting at Z=0 (like makeBaseBox).
+ * @param {Object} replicad - Replicad module
+ * @param {string} shape - ColumnShape of the section: round, oblong, rectangular or irregular
+ * @param {number} width - Section width along X
+ * @param {number} depth - Section depth along Y
+ * @param {number} height - Extrusion height along Z
+ * @returns {Object} - Replicad shape
+ */
+function makeColumnSection(replicad, shape, width, depth, height) {
+  const { makeBaseBox, makeCylinder } = replicad;
+
+  if (shape === ColumnShape.Round) {
+    return makeCylinder(width / 2, height);
+  }
+
+  if (shape === ColumnShape.Oblong && depth > width) {
+    // Stadium: rectangle with semicircular ends along Y
+    const radius = width / 2;
+    const rectHalfLength = depth / 2 - radius;
+    return makeBaseBox(width, rectHalfLength * 2, height)
+      .fuse(makeCylinder(radius, height).translate([0, rectHalfLength, 0]))
+      .fuse(makeCylinder(radius, height).translate([0, -rectHalfLength, 0]));
+  }
+
+  return makeBaseBox(width, depth, height);
+}
+
+/**
+ * Get the column height that distributed gaps are spread over by default:
+ * the winding window of the set (both halves, or a single piece when it is closed by a plate).
+ * @param {Array<Object>} geometricalDescription - Array of CoreGeometricalDescriptionElement from MAS
+ * @returns {number} - Column height in meters (0 if unknown)
+ */
+function getDistributedGapsHeight(geometricalDescription) {
+  const hasPlate = geometricalDescription.some(
+    (part) => part.type === CoreGeometricalDescriptionElementType.Plate
+  );
+
+  for (const part of geometricalDescription) {
+    if (part.type === CoreGeometricalDescriptionElementType.Spacer || typeof part.shape !== 'object' || !part.shape) {
+      continue;
+    }
+    const windowHeight = flattenDimensions(part.shape).D || 0;
+    return hasPlate ? windowHeight : windowHeight * 2;
+  }
+
+  return 0;
+}
+
+/**
+ * Get the column of a gap, as a key shared by every gap of that column.
+ * @param {Object} gap - CoreGap or Machining entry with coordinates
+ * @returns {string} - Column key
+ */
+function getGapColumn(gap) {
+  return `${gap.type || ''}/${gap.coordinates[0]}/${gap.coordinates[2] || 0}`;
+}
+
+/**
+ * Lay out the gaps of the functional description along their columns.
+ * MAS lists distributed gaps as several CoreGap entries on the same column. Entries without coordinates
+ * are spread evenly over the central column, columnHeight / n apart and centered on the join.
+ * A gap that overlaps the one below it on the same column is merged into it.
+ * @param {Array<Object>} gaps - CoreGap entries
+ * @param {number} columnHeight - Column height the gaps without coordinates are spread over
+ * @returns {Array<Object>} - Gaps with coordinates, lowest first
+ */
+function expandDistributedGaps(gaps, columnHeight) {
+  const unplaced = gaps.filter((gap) => !gap.coordinates);
+  const placed = gaps.filter((gap) => gap.coordinates);
+  unplaced.forEach((gap, index) => {
+    const height = (index - (unplaced.length - 1) / 2) * columnHeight / unplaced.length;
+    placed.push({ ...gap, coordinates: [0, height, 0] });
+  });
+
+  const sorted = [...placed].sort((a, b) => a.coordinates[1] - b.coordinates[1]);
+  const lastOfColumn = new Map();
+  const merged = [];
+  for (const gap of sorted) {
+    const column = getGapColumn(gap);
+    const previous = lastOfColumn.get(column);
+    if (!previous || previous.coordinates[1] + previous.length / 2 < gap.coordinates[1] - gap.length / 2) {
+      const entry = { ...gap };
+      merged.push(entry);
+      lastOfColumn.set(column, entry);
+      continue;
+    }
+
+    const bottom = previous.coordinates[1] - previous.length / 2;
+    const top = Math.max(previous.coordinates[1] + previous.length / 2, gap.coordinates[1] + gap.length / 2);
+    previous.coordinates = [...previous.coordinates];
+    previous.coordinates[1] = (top + bottom) / 2;
+    previous.length = top - bottom;
+  }
+
+  return merged;
+}
+
+/**
+ * Keep the gaps that share their column with other gaps, i.e. the distributed ones.
+ * @param {Array<Object>} gaps - Gaps with coordinates, see expandDistributedGaps
+ * @returns {Array<Object>} - Gaps of the columns with more than one gap
+ */
+function getSplitColumnGaps(gaps) {
+  const counts = new Map();
+  for (const gap of gaps) {
+    counts.set(getGapColumn(gap), (counts.get(getGapColumn(gap)) || 0) + 1);
+  }
+  return gaps.filter((gap) => counts.get(getGapColumn(gap)) > 1);
+}
+
+/**
+ * Split the fill pieces that gaps cut off a column from the body of a machined piece.
+ * @param {Object} replicad - Replicad module
+ * @param {Object} piece - Machined piece
+ * @returns {Array<Object>} - The body (the largest solid) followed by the fill pieces
+ */
+function splitFillPieces(replicad, piece) {
+  const { iterTopo, cast, measureShapeVolumeProperties } = replicad;
+  const solids = Array.from(iterTopo(piece.wrapped, 'solid'), (solid) => cast(solid));
+  if (solids.length <= 1) {
+    solids.forEach((solid) => solid.delete());
+    return [piece];
+  }
+
+  const volumes = solids.map((solid) => measureShapeVolumeProperties(solid).volume);
+  const bodyIndex = volumes.indexOf(Math.max(...volumes));
+  piece.delete();
+  return [solids[bodyIndex], ...solids.filter((_, index) => index !== bodyIndex)];
+}
+
+/**
+ * Clip gaps to the half-space of a half set, so a gap crossing the join is split between both halves.
+ * Core slivers thinner than the residual gap are not left at the join, and gap slivers thinner than it are not cut.
+ * @param {Object} part - Half set CoreGeometricalDescriptionElement
+ * @param {Array<Object>} gaps - CoreGap or Machining entries
+ * @returns {Array<Object>} - Machining entries for the piece
+ */
+function clipGapsToPiece(part, gaps) {
+  const joinHeight = part.coordinates && part.coordinates.length > 1 ? part.coordinates[1] : 0;
+  const isTop = part.rotation && part.rotation[0] > 0;
+  const machining = [];
+
+  for (const gap of gaps) {
+    let bottom = gap.coordinates[1] - gap.length / 2;
+    let top = gap.coordinates[1] + gap.length / 2;
+    if (isTop) {
+      bottom = bottom < joinHeight + RESIDUAL_GAP ? joinHeight : bottom;
+    } else {
+      top = top > joinHeight - RESIDUAL_GAP ? joinHeight : top;
+    }
+
+    if (top - bottom >= RESIDUAL_GAP) {
+      machining.push({
+        coordinates: [gap.coordinates[0], (top + bottom) / 2, gap.coordinates[2] || 0],
+        length: top - bottom,
+        shape: gap.shape,
+        sectionDimensions: gap.sectionDimensions
+      });
+    }
+  }
+
+  return machining;
+}
+
+/**
+ * Convert the subtractive gaps of the functional description into machining for a half set.
+ * @param {Object} part - Half set CoreGeometricalDescriptionElement
+ * @param {Array<Object>} gapping - CoreFunctionalDescription.gapping
+ * @param {number} columnHeight - Column height for gaps without coordinates
+ * @returns {Array<Object>} - Machining entries for the piece
+ */
+function getMachiningFromGapping(part, gapping, columnHeight) {
+  const subtractiveGaps = gapping.filter((gap) => gap.type === GapType.Subtractive && gap.length > 0);
+  return clipGapsToPiece(part, expandDistributedGaps(subtractiveGaps, columnHeight));
+}
+
+/**
+ * Convert the subtractive gaps of the functional description into machining for a toroid.
+ * Toroids are a single piece, so gaps are cut whole at their angular position.
+ * @param {Array<Object>} gapping - CoreFunctionalDescription.gapping
+ * @returns {Array<Object>} - Machining entries for the ring
+ */
+function getToroidalMachiningFromGapping(gapping) {
+  return gapping
+    .filter((gap) => gap.type === GapType.Subtractive && gap.coordinates && gap.length > 0)
+    .map((gap) => ({ coordinates: gap.coordinates, length: gap.length }));
+}
+
+/**
+ * Get the angular sectors taken by the gaps of toroidal cores, so turns can be laid out around them.
+ * @param {Object} replicad - Replicad module
+ * @param {Array<Object>} geometricalDescription - Array of CoreGeometricalDescriptionElement from MAS
+ * @param {Array<Object>} [gapping] - CoreFunctionalDescription.gapping, used for toroids without machining
+ * @returns {Array<{angle: number, width: number}>} - Sector centers and full widths, in degrees
+ */
+export function getGapSectors(replicad, geometricalDescription, gapping = []) {
+  const sectors = [];
+  if (!geometricalDescription) {
+    return sectors;
+  }
+
+  for (const part of geometricalDescription) {
+    if (part.type !== CoreGeometricalDescriptionElementType.Toroidal || !part.shape?.family) {
+      continue;
+    }
+
+    const shapeBuilder = getShapeBuilder(replicad, part.shape.family);
+    if (typeof shapeBuilder.getGapSector !== 'function') {
+      continue;
+    }
+
+    const dimensions = flattenDimensions(part.shape);
+    const machining = part.machining && part.machining.length > 0
+      ? part.machining
+      : getToroidalMachiningFromGapping(gapping || []);
+    for (const entry of machining) {
+      sectors.push(shapeBuilder.getGapSector(entry, dimensions));
+    }
+  }
+
+  return sectors;
 }
 
 /**
  * Build spacer geometries from the core geometrical description.
  * Spacers are built separately so they can be rendered with a different color.
+ * When the description has no spacers, they are derived from the additive gaps of the functional description.
  * @param {Object} replicad - Replicad module
  * @param {Array} geometricalDescription - Array of core parts
+ * @param {Array<Object>} [gapping] - CoreFunctionalDescription.gapping
+ * @param {Object} [options] - Build options
+ * @param {boolean} [options.gapInserts] - Also fill the subtractive gaps of columns with several gaps with spacer inserts
  * @returns {Object|null} - Combined spacer shape or null if no spacers
  */
-export function getSpacers(replicad, geometricalDescription) {
+export function getSpacers(replicad, geometricalDescription, gapping = [], options = {}) {
   const { makeBaseBox } = replicad;
   let spacers = [];
   
@@ -1628,6 +3343,33 @@ export function getSpacers(replicad, geometricalDescription) {
       spacers.push(spacer);
     }
   }
+
+  if (gapping) {
+    const columnHeight = getDistributedGapsHeight(geometricalDescription);
+    const spacerGaps = spacers.length > 0 ? [] : gapping.filter((gap) => gap.type === GapType.Additive);
+    if (options.gapInserts) {
+      const subtractiveGaps = gapping.filter((gap) => gap.type === GapType.Subtractive && gap.length > 0);
+      spacerGaps.push(...getSplitColumnGaps(expandDistributedGaps(subtractiveGaps, columnHeight)));
+    }
+
+    for (const gap of spacerGaps) {
+      if (!gap.coordinates || !gap.sectionDimensions || !(gap.length > 0)) {
+        continue;
+      }
+
+      // sectionDimensions: [width, depth] of the column section the spacer sits on
+      const coords = convertAxis(gap.coordinates);
+      const spacer = makeColumnSection(
+        replicad,
+        gap.shape,
+        gap.sectionDimensions[0],
+        gap.sectionDimensions[1],
+        gap.length
+      ).translate([coords[0], coords[1], coords[2] - gap.length / 2]);
+
+      spacers.push(spacer);
+    }
+  }
   
   // Combine all spacers
   if (spacers.length === 0) {
@@ -8,7 +8,8 @@
 import {
   WireType,
   ColumnShape,
-  WiringTechnology
+  WiringTechnology,
+  TurnCrossSectionalShape
 } from './MAS.ts';
 
 import {
@@ -17,9 +18,14 @@ import {
   wireFromDict,
   turnFromDict,
   groupFromDict,
-  bobbinFromDict
+  bobbinFromDict,
+  DimensionPolicy,
+  LitzMode,
+  resolveDimension,
+  packLitzStrands,
+  applyMasRotation
 } from './utils.js';
-import { getCore, getSpacers, getSupportedFamilies } from './coreShapes.js';
+import { getCore, getSpacers, getSupportedFamilies, getWindingColumn, getStackCopies, getStackPitch, getGapSectors, getToroidalEdgeRadius, getCoating, getCoatingThickness, applyDimensionPolicy } from './coreShapes.js';
 
 // ==========================================================================
 // Global Configuration
@@ -28,6 +34,15 @@ import { getCore, getSpacers, getSupportedFamilies } from './coreShapes.js';
 let TESSELLATION_SEGMENTS_PER_CIRCLE = 8;
 let TESSELLATION_LINEAR_TOLERANCE = 1.0;
 
+// Foil defaults, in meters: overlap of a turn onto the next one, and lead tabs past the winding window
+const FOIL_OVERLAP = 2e-3;
+const FOIL_LEAD_WIDTH = 5e-3;
+const FOIL_LEAD_LENGTH = 10e-3;
+const FOIL_LEAD_CLEARANCE = 1e-3;
+
+// Detailed litz bundles with more strands are drawn simplified, sweeping each strand does not scale
+const LITZ_DETAILED_MAX_STRANDS = 100;
+
 /**
  * Get angular tolerance in radians based on segments per circle.
  * @returns {number}
@@ -93,9 +108,29 @@ export class ReplicadBuilder {
    * @param {WireDescription} wireDescription - Wire parameters
    * @param {BobbinProcessedDescription} bobbinDescription - Bobbin parameters
    * @param {boolean} isToroidal - If true, create toroidal turn
+   * @param {Object} [turnOptions] - Layout options
+   * @param {Array<{angle: number, width: number}>} [turnOptions.gapSectors] - Toroidal gap sectors in degrees, kept free of turns
+   * @param {number} [turnOptions.edgeRadius] - Toroidal core edge rounding in meters, added to the turn bend radius
+   * @param {number} [turnOptions.coatingThickness] - Toroidal core coating in meters, turns not clearing it are moved onto it
+   * @param {Object} [turnOptions.litz] - Litz wire rendering
+   * @param {string} [turnOptions.litz.mode] - LitzMode: 'simplified' sweeps an envelope textured by the outer strands,
+   *   'detailed' sweeps every strand of Wire.strand, packed in the bundle (up to 100 strands, simplified past that).
+   *   Without a mode litz turns are plain round bundles
+   * @param {boolean} [turnOptions.litz.serving] - Draw the serving jacket around the strands, by default when the
+   *   wire coating is served. Simplified served bundles are drawn as their plain jacket
+   * @param {Object} [turnOptions.foil] - Foil turns, on concentric cores
+   * @param {number} [turnOptions.foil.overlap] - Length of the overlap past the seam in meters, 2 mm by default
+   * @param {number} [turnOptions.foil.leadWidth] - Width of the lead tabs in meters, 5 mm by default
+   * @param {number} [turnOptions.foil.leadLength] - Length of the lead tabs past the winding window in meters, 10 mm by default
+   * @param {number} [turnOptions.foil.leadClearance] - Gap between the start and end leads of one-turn windings
+   *   in meters, 1 mm by default
+   * @param {boolean} [turnOptions.foil.isFirstTurn] - The turn starts its winding, so it gets the start lead
+   * @param {boolean} [turnOptions.foil.isLastTurn] - The turn ends its winding, so it gets the end lead and no overlap
+   * @param {Array<Object>} [turnOptions.crossSection] - Replicad drawings swept instead of the wire cross-section,
+   *   see getTurnParts
    * @returns {Object} - Replicad shape
    */
-  getTurn(turnDescription, wireDescription, bobbinDescription, isToroidal = false) {
+  getTurn(turnDescription, wireDescription, bobbinDescription, isToroidal = false, turnOptions = {}) {
     // Check for toroidal: either explicit flag or bobbin has windingWindowAngle defined
     // Handle both processed (windingWindowAngle at top level) and raw JSON (windingWindows[0].angle)
     let windingWindowAngle = bobbinDescription.windingWindowAngle;
@@ -108,18 +143,50 @@ export class ReplicadBuilder {
     }
     const hasWindingWindowAngle = windingWindowAngle !== undefined && windingWindowAngle !== null;
     
+    const wireType = wireDescription.type || wireDescription.wireType;
+
     if (isToroidal || hasWindingWindowAngle) {
-      return this._createToroidalTurn(turnDescription, wireDescription, bobbinDescription);
+      return this._createToroidalTurn(turnDescription, wireDescription, bobbinDescription, turnOptions);
+    } else if (wireType === WireType.Foil) {
+      return this._createFoilTurn(turnDescription, wireDescription, bobbinDescription, turnOptions);
     } else {
-      return this._createConcentricTurn(turnDescription, wireDescription, bobbinDescription);
+      return this._createConcentricTurn(turnDescription, wireDescription, bobbinDescription, turnOptions);
+    }
+  }
+
+  /**
+   * Create a turn split in its conductor and the insulation around it, for dielectric simulations.
+   * The conductor is conductingDiameter (or conductingWidth × conductingHeight) wide, and the insulation
+   * fills the rest of the turn up to its outer dimension, one shell per layer of the wire coating
+   * (InsulationWireCoating.numberLayers, thicknessLayers).
+   * Litz, foil, planar and oval turns, and wires without conducting dimensions, are not split.
+   * @param {TurnDescription} turnDescription - Turn parameters
+   * @param {WireDescription} wireDescription - Wire parameters
+   * @param {BobbinProcessedDescription} bobbinDescription - Bobbin parameters
+   * @param {boolean} isToroidal - If true, create toroidal turn
+   * @param {Object} [turnOptions] - Layout options, see getTurn
+   * @returns {{conductor: Object, insulation: Array<Object>}} - Replicad shapes, insulation from the innermost layer out
+   */
+  getTurnParts(turnDescription, wireDescription, bobbinDescription, isToroidal = false, turnOptions = {}) {
+    const crossSections = this._getInsulatedCrossSections(turnDescription, wireDescription);
+    if (!crossSections) {
+      return { conductor: this.getTurn(turnDescription, wireDescription, bobbinDescription, isToroidal, turnOptions), insulation: [] };
     }
+
+    // Every part follows the path of the whole turn, only the swept cross-section changes
+    const buildPart = (crossSection) =>
+      this.getTurn(turnDescription, wireDescription, bobbinDescription, isToroidal, { ...turnOptions, crossSection });
+    return {
+      conductor: buildPart(crossSections.conductor),
+      insulation: crossSections.insulation.map(buildPart)
+    };
   }
 
   /**
    * Create a concentric turn (for E-cores, PQ, RM, etc.).
    * @private
    */
-  _createConcentricTurn(turnDescription, wireDescription, bobbinDescription) {
+  _createConcentricTurn(turnDescription, wireDescription, bobbinDescription, turnOptions = {}) {
     const { makeCylinder, makeCompound } = this.r;
     const SCALE = this.SCALE;
 
@@ -175,6 +242,8 @@ export class ReplicadBuilder {
       wireHeight = wireDiameter;
     }
 
+    const crossSection = this._getWireCrossSection(turnDescription, wireDescription, wireWidth, wireHeight, turnOptions);
+
     // Get bobbin/column dimensions
     // MAS convention: columnWidth is radial direction (X), columnDepth is depth direction (Y)
     // For turns, radial position (coordinates[0]) is distance from center in X direction
@@ -204,7 +273,9 @@ export class ReplicadBuilder {
       // Round column: circular turn path
       const turnRadius = radialPos;
 
-      if (isRectangularWire) {
+      if (crossSection) {
+        turn = this._makeCrossSectionArc(crossSection, turnRadius, [0, 0, heightPos], 0, 360);
+      } else if (isRectangularWire) {
         // For rectangular wire on round column, use full swept rectangle (360° revolution)
         turn = this._makeFullSweptRectangle(turnRadius, wireWidth, wireHeight, [0, 0, heightPos]);
       } else {
@@ -228,7 +299,9 @@ export class ReplicadBuilder {
       
       // If straightSectionHalfLength <= 0, the column is actually round
       if (straightSectionHalfLength <= 0) {
-        turn = this._makeTorus(radialPos, wireRadius, [0, 0, heightPos], [0, 0, 1]);
+        turn = crossSection
+          ? this._makeCrossSectionArc(crossSection, radialPos, [0, 0, heightPos], 0, 360)
+          : this._makeTorus(radialPos, wireRadius, [0, 0, heightPos], [0, 0, 1]);
       } else {
         // Wire positions
         const wireXPos = radialPos;  // Radial distance from center (in X direction)
@@ -236,7 +309,9 @@ export class ReplicadBuilder {
 
         // Create tubes for the straight sections (along Y, at X = ±wireXPos)
         const createTubeAlongY = (length, xCenter, yOffset = 0) => {
-          if (isRectangularWire) {
+          if (crossSection) {
+            return this._makeCrossSectionTube(crossSection, length, [xCenter, yOffset, heightPos], xCenter > 0 ? 0 : 180);
+          } else if (isRectangularWire) {
             return this._makeBox(wireWidth, length, wireHeight)
               .translate([xCenter, yOffset, heightPos]);
           } else {
@@ -263,7 +338,9 @@ export class ReplicadBuilder {
         
         // Create half torus/swept rectangle (180°) for the semicircular ends
         const createHalfArc = (centerY, startAngleDeg) => {
-          if (isRectangularWire) {
+          if (crossSection) {
+            return this._makeCrossSectionArc(crossSection, halfTorusMajorRadius, [0, centerY, heightPos], startAngleDeg, 180);
+          } else if (isRectangularWire) {
             return this._makeHalfSweptRectangle(
               halfTorusMajorRadius,
               wireWidth,
@@ -319,7 +396,9 @@ export class ReplicadBuilder {
 
       // Create tubes (cylinders for round wire, boxes for rectangular)
       const createTubeAlongY = (length, xCenter) => {
-        if (isRectangularWire) {
+        if (crossSection) {
+          return this._makeCrossSectionTube(crossSection, length, [xCenter, 0, heightPos], xCenter > 0 ? 0 : 180);
+        } else if (isRectangularWire) {
           return this._makeBox(wireWidth, length, wireHeight)
             .translate([xCenter, 0, heightPos]);
         } else {
@@ -331,7 +410,9 @@ export class ReplicadBuilder {
       };
 
       const createTubeAlongX = (length, yCenter) => {
-        if (isRectangularWire) {
+        if (crossSection) {
+          return this._makeCrossSectionTube(crossSection, length, [0, yCenter, heightPos], yCenter > 0 ? 90 : 270);
+        } else if (isRectangularWire) {
           return this._makeBox(length, wireWidth, wireHeight)
             .translate([0, yCenter, heightPos]);
         } else {
@@ -354,7 +435,9 @@ export class ReplicadBuilder {
       // Four corners (quarter tori or swept rectangles)
       // Corners are at the intersection of column edges
       const createCorner = (cornerX, cornerY, startAngleDeg) => {
-        if (isRectangularWire) {
+        if (crossSection) {
+          return this._makeCrossSectionArc(crossSection, turnTurnRadius, [cornerX, cornerY, heightPos], startAngleDeg, 90);
+        } else if (isRectangularWire) {
           return this._makeQuarterSweptRectangle(
             turnTurnRadius,
             wireWidth,
@@ -385,11 +468,99 @@ export class ReplicadBuilder {
     return turn;
   }
 
+  /**
+   * Create a foil turn: a sheet spanning the winding window height around the column, plus the overlap
+   * past the seam and the lead tab of the first and last turns of the winding.
+   * The sheet is conductingWidth thick and conductingHeight tall, the winding window height when missing.
+   * The seam, where the overlap and the leads sit, is on the +X side of the column. The overlap lies in the
+   * insulation outside the sheet, up to the outer width of the turn, so it never reaches the next turn; bare
+   * foils get none. The start lead is on the -Y side of the seam and the end lead on the +Y side, leadClearance
+   * apart, so a one-turn winding gets both without them touching.
+   * @private
+   */
+  _createFoilTurn(turnDescription, wireDescription, bobbinDescription, turnOptions = {}) {
+    const { makeCompound, drawRectangle } = this.r;
+    const SCALE = this.SCALE;
+    const foil = turnOptions.foil || {};
+
+    const windingWindow = bobbinDescription.windingWindows?.[0] || {};
+    const windowHeight = bobbinDescription.windingWindowHeight ?? windingWindow.height;
+    const windowCenter = windingWindow.coordinates?.[1] || 0;
+
+    const thickness = resolveDimension(wireDescription.conductingWidth) ||
+                      turnDescription.dimensions?.[0] ||
+                      resolveDimension(wireDescription.outerWidth) || 0.0001;
+    let height = resolveDimension(wireDescription.conductingHeight) || windowHeight || turnDescription.dimensions?.[1] || 0.001;
+    if (windowHeight) {
+      height = Math.min(height, windowHeight);
+    }
+
+    // The sheet follows the column like a rectangular turn
+    const sheetDescription = { ...turnDescription, crossSectionalShape: 'rectangular', dimensions: [thickness, height] };
+    const pieces = [this._createConcentricTurn(sheetDescription, { type: WireType.Rectangular }, bobbinDescription)];
+
+    const coords = turnDescription.coordinates || [];
+    const radialPos = (coords[0] || 0) * SCALE;
+    const heightPos = (coords[1] || 0) * SCALE;
+    const sheetThickness = thickness * SCALE;
+    const sheetHeight = height * SCALE;
+
+    const halfColWidth = bobbinDescription.columnWidth * SCALE;
+    const halfColDepth = bobbinDescription.columnDepth * SCALE;
+    const columnShape = bobbinDescription.columnShape?.toLowerCase() || 'rectangular';
+    const isRound = columnShape === ColumnShape.Round || columnShape === 'round';
+    const isOblong = columnShape === 'oblong';
+    const straightHalfLength = isRound ? 0 : (isOblong ? halfColDepth - halfColWidth : halfColDepth);
+
+    // Overlap: the end of the sheet lapping over the seam, in the insulation on its outer side
+    const overlap = (foil.overlap ?? FOIL_OVERLAP) * SCALE;
+    const outerThickness = (turnDescription.dimensions?.[0] || resolveDimension(wireDescription.outerWidth) || thickness) * SCALE;
+    const overlapThickness = Math.min(sheetThickness, (outerThickness - sheetThickness) / 2);
+    if (overlap > 0 && overlapThickness > 0 && !foil.isLastTurn) {
+      const overlapRadius = radialPos + (sheetThickness + overlapThickness) / 2;
+      if (straightHalfLength > 0) {
+        const overlapLength = Math.min(overlap, 2 * straightHalfLength);
+        pieces.push(this._makeBox(overlapThickness, overlapLength, sheetHeight)
+          .translate([overlapRadius, 0, heightPos]));
+      } else {
+        const overlapAngleDeg = Math.min(360, (180.0 / Math.PI) * overlap / overlapRadius);
+        pieces.push(this._makeCrossSectionArc(
+          [drawRectangle(overlapThickness, sheetHeight)],
+          overlapRadius,
+          [0, 0, heightPos],
+          -overlapAngleDeg / 2,
+          overlapAngleDeg
+        ));
+      }
+    }
+
+    // Leads: tabs from the top of the sheet to past the winding window, the start one before the seam
+    // and the end one after it, clear of each other
+    const leadClearance = (foil.leadClearance ?? FOIL_LEAD_CLEARANCE) * SCALE;
+    let leadWidth = (foil.leadWidth ?? FOIL_LEAD_WIDTH) * SCALE;
+    if (straightHalfLength > 0) {
+      leadWidth = Math.min(leadWidth, straightHalfLength - leadClearance / 2);
+    }
+    const sheetTop = heightPos + sheetHeight / 2;
+    const windowTop = windowHeight ? (windowCenter + windowHeight / 2) * SCALE : sheetTop;
+    const leadLength = Math.max(0, windowTop - sheetTop) + (foil.leadLength ?? FOIL_LEAD_LENGTH) * SCALE;
+    const addLead = (ySign) => {
+      pieces.push(this._makeBox(sheetThickness, leadWidth, leadLength)
+        .translate([radialPos, ySign * (leadClearance + leadWidth) / 2, sheetTop + leadLength / 2]));
+    };
+    if (leadWidth > 0 && leadLength > 0) {
+      if (foil.isFirstTurn) addLead(-1);
+      if (foil.isLastTurn) addLead(+1);
+    }
+
+    return pieces.length === 1 ? pieces[0] : makeCompound(pieces);
+  }
+
   /**
    * Create a toroidal turn using tubes and torus arcs.
    * @private
    */
-  _createToroidalTurn(turnDescription, wireDescription, bobbinDescription) {
+  _createToroidalTurn(turnDescription, wireDescription, bobbinDescription, turnOptions = {}) {
     const { makeCompound } = this.r;
     const SCALE = this.SCALE;
 
@@ -445,6 +616,8 @@ export class ReplicadBuilder {
       wireHeight = wireDiameter;
     }
 
+    const crossSection = this._getWireCrossSection(turnDescription, wireDescription, wireWidth, wireHeight, turnOptions);
+
     // Get bobbin dimensions - handle both processed and raw JSON format
     const halfDepth = bobbinDescription.columnDepth * SCALE;
     
@@ -458,10 +631,12 @@ export class ReplicadBuilder {
     }
     windingWindowRadialHeight = windingWindowRadialHeight || 0.003;
 
-    // Bend radius
-    const bendRadius = isRectangularWire 
+    // Bend radius, grown by the rounding of the core edges the turn wraps around
+    const edgeRadius = (turnOptions.edgeRadius || 0) * SCALE;
+    const wireBendRadius = isRectangularWire 
       ? Math.max(wireWidth, wireHeight) / 2.0 
       : wireRadius;
+    const bendRadius = wireBendRadius + edgeRadius;
 
     // Get turn's angular position (rotation around the torus)
     const turnAngleDeg = turnDescription.rotation;
@@ -501,14 +676,31 @@ export class ReplicadBuilder {
       outerAngleDeg = innerAngleDeg;
     }
 
+    // Turns of coated cores sit on the coating, unless their coordinates already clear it
+    const coatingThickness = (turnOptions.coatingThickness || 0) * SCALE;
+    if (coatingThickness > 0) {
+      const coreInnerRadius = windingWindowRadialHeight * SCALE;
+      const coreOuterRadius = coreInnerRadius + 2 * bobbinDescription.columnWidth * SCALE;
+      if (innerRadial + wireBendRadius > coreInnerRadius - coatingThickness / 2) {
+        innerRadial -= coatingThickness;
+      }
+      if (bobbinDescription.columnWidth > 0 && outerRadial - wireBendRadius < coreOuterRadius + coatingThickness / 2) {
+        outerRadial += coatingThickness;
+      }
+    }
+
     // Calculate angle difference between inner and outer wire positions
     const angleDiffDeg = outerAngleDeg - innerAngleDeg;
 
     // Inner wire at -inner_radial on X axis (will be rotated later)
     const innerX = -innerRadial;
 
+    // Turns are spread over the arcs left free by the gap sectors, clear of the wire
+    const gapClearanceDeg = (180.0 / Math.PI) * Math.atan2(wireBendRadius, innerRadial);
+    const placedAngleDeg = this._skipGapSectors(turnAngleDeg, turnOptions.gapSectors, gapClearanceDeg);
+
     // Calculate rotation from default position (geometry starts at -X, so offset by 180°)
-    const turnRotationDeg = turnAngleDeg - 180.0;
+    const turnRotationDeg = placedAngleDeg - 180.0;
 
     // Radial distance between inner and outer
     const radialDistance = outerRadial - innerRadial;
@@ -552,6 +744,14 @@ export class ReplicadBuilder {
       // Calculate positions
       // Inner tube at X = innerX, Outer tube at X = innerX - radialDistance
       const outerX = innerX - radialDistance;
+
+      // Wires with rounded edges sweep their cross-section instead, u pointing away from the core
+      const makeRectTube = (length, boxSize, center, outwardAngleDeg) => crossSection
+        ? this._makeCrossSectionTube(crossSection, length, center, outwardAngleDeg)
+        : this._makeBox(...boxSize).translate(center);
+      const makeRectCorner = (center, startAngleDeg, ySign) => crossSection
+        ? this._makeCrossSectionArc(crossSection, bendRadius, center, ySign > 0 ? startAngleDeg : startAngleDeg - 90, 90)
+        : this._makeToroidalQuarterSweptRectangle(bendRadius, wireWidth, wireHeight, center, startAngleDeg, ySign);
       
       // Build both halves (+Y and -Y)
       const buildRectHalf = (ySign) => {
@@ -559,8 +759,7 @@ export class ReplicadBuilder {
         
         // 1. Inner tube (along Y) - from Y=0 toward ±Y
         // Box dimensions: wireWidth (X) × tubeLength (Y) × wireHeight (Z)
-        const innerTube = this._makeBox(wireWidth, tubeLength, wireHeight)
-          .translate([innerX, (tubeLength / 2) * ySign, 0]);
+        const innerTube = makeRectTube(tubeLength, [wireWidth, tubeLength, wireHeight], [innerX, (tubeLength / 2) * ySign, 0], 0);
         halfPieces.push(innerTube);
         
         // 2. Inner corner - quarter swept rectangle
@@ -571,17 +770,16 @@ export class ReplicadBuilder {
         // Always start at 0° (tube end), sweep toward radial
         const innerCornerCenter = [innerX - bendRadius, tubeLength * ySign, 0];
         const innerCornerStartAngle = 0;  // Always start at tube connection (+X)
-        const innerCorner = this._makeToroidalQuarterSweptRectangle(
-          bendRadius, wireWidth, wireHeight,
-          innerCornerCenter, innerCornerStartAngle, ySign
-        );
+        const innerCorner = makeRectCorner(innerCornerCenter, innerCornerStartAngle, ySign);
         halfPieces.push(innerCorner);
         
         // 3. Radial segment - runs along X from inner corner to outer corner
         // At Y = radialHeight (top/bottom of core)
         // Box dimensions: radialLength (X) × wireWidth (Y) × wireHeight (Z)
-        const radialTube = this._makeBox(radialLength, wireWidth, wireHeight)
-          .translate([innerX - bendRadius - radialLength / 2, radialHeight * ySign, 0]);
+        const radialTube = makeRectTube(
+          radialLength, [radialLength, wireWidth, wireHeight],
+          [innerX - bendRadius - radialLength / 2, radialHeight * ySign, 0], ySign > 0 ? 90 : 270
+        );
         halfPieces.push(radialTube);
         
         // 4. Outer corner - quarter swept rectangle
@@ -592,15 +790,11 @@ export class ReplicadBuilder {
         // Start at radial connection, sweep toward tube
         const outerCornerCenter = [outerX + bendRadius, tubeLength * ySign, 0];
         const outerCornerStartAngle = ySign > 0 ? 90 : 270;  // Radial connection angle
-        const outerCorner = this._makeToroidalQuarterSweptRectangle(
-          bendRadius, wireWidth, wireHeight,
-          outerCornerCenter, outerCornerStartAngle, ySign
-        );
+        const outerCorner = makeRectCorner(outerCornerCenter, outerCornerStartAngle, ySign);
         halfPieces.push(outerCorner);
         
         // 5. Outer tube (along Y) - from Y=0 toward ±Y
-        const outerTube = this._makeBox(wireWidth, tubeLength, wireHeight)
-          .translate([outerX, (tubeLength / 2) * ySign, 0]);
+        const outerTube = makeRectTube(tubeLength, [wireWidth, tubeLength, wireHeight], [outerX, (tubeLength / 2) * ySign, 0], 180);
         halfPieces.push(outerTube);
         
         return halfPieces;
@@ -664,7 +858,10 @@ export class ReplicadBuilder {
     const createToroidalCorner = (position, isInnerCorner, ySign) => {
       // For toroidal geometry, corners connect vertical tubes to radial segments
       // The bending happens in the XY plane
-      if (isRectangularWire) {
+      const startAngleDeg = isInnerCorner ? (ySign > 0 ? 0 : 270) : (ySign > 0 ? 90 : 180);
+      if (crossSection) {
+        return this._makeCrossSectionArc(crossSection, bendRadius, position, startAngleDeg, 90);
+      } else if (isRectangularWire) {
         // For rectangular wire, use a box approximation at corners
         // This avoids the complexity of swept rectangles in non-standard orientations
         const cornerBox = this._makeBox(wireWidth, wireHeight, bendRadius);
@@ -675,12 +872,28 @@ export class ReplicadBuilder {
           bendRadius,
           wireRadius,
           position,
-          isInnerCorner ? (ySign > 0 ? 0 : 270) : (ySign > 0 ? 90 : 180),
+          startAngleDeg,
           [0, 0, 1]
         );
       }
     };
 
+    // Helper to create the inner and outer tubes (along Y, from the center toward ±Y, at X = xCenter)
+    // and the radial segments (along -X, from the origin). Cross-sections keep u pointing away from the core
+    const createToroidalTube = (length, xCenter, ySign, side) => {
+      if (side === 'radial') {
+        return crossSection
+          ? this._makeCrossSectionTube(crossSection, length, [-length / 2, 0, 0], ySign > 0 ? 90 : 270)
+          : createTube(length, true).rotate(-90, [0, 0, 0], [0, 1, 0]);
+      }
+      if (crossSection) {
+        return this._makeCrossSectionTube(crossSection, length, [xCenter, (length / 2) * ySign, 0], side === 'inner' ? 0 : 180);
+      }
+      return createTube(length)
+        .rotate(-90 * ySign, [0, 0, 0], [1, 0, 0])
+        .translate([xCenter, 0, 0]);
+    };
+
     // Build both halves explicitly to avoid mirror/scale issues with OpenCASCADE
     // This prevents "object has been deleted" errors
     const buildHalf = (ySign) => {
@@ -688,9 +901,7 @@ export class ReplicadBuilder {
       const yMult = ySign; // +1 for top half, -1 for bottom half
 
       // 1. Inner tube (along Y) - from center toward ±Y
-      let innerTube = createTube(tubeLength)
-        .rotate(-90 * yMult, [0, 0, 0], [1, 0, 0])
-        .translate([innerX, 0, 0]);
+      let innerTube = createToroidalTube(tubeLength, innerX, yMult, 'inner');
       halfPieces.push(innerTube);
 
       // 2. Inner corner - connects inner tube to radial segment
@@ -706,8 +917,7 @@ export class ReplicadBuilder {
       halfPieces.push(innerCorner);
 
       // 3. Radial segment - tilted by angleDiffDeg to go from inner to outer angle
-      let radialTube = createTube(radialLength, true)
-        .rotate(-90, [0, 0, 0], [0, 1, 0]);
+      let radialTube = createToroidalTube(radialLength, 0, yMult, 'radial');
       // First rotate by half angle (to match inner corner end), then position
       if (Math.abs(angleDiffDeg) > 0.001) {
         radialTube = radialTube.rotate(angleDiffDeg / 2, [0, 0, 0], [0, 1, 0]);
@@ -731,9 +941,7 @@ export class ReplicadBuilder {
       halfPieces.push(outerCorner);
 
       // 5. Outer tube - at the outer position, rotated by full angleDiffDeg
-      let outerTube = createTube(tubeLength)
-        .rotate(-90 * yMult, [0, 0, 0], [1, 0, 0])
-        .translate([innerX - radialDistance, 0, 0]);
+      let outerTube = createToroidalTube(tubeLength, innerX - radialDistance, yMult, 'outer');
       if (Math.abs(angleDiffDeg) > 0.001) {
         outerTube = outerTube.rotate(angleDiffDeg, [innerX, 0, 0], [0, 1, 0]);
       }
@@ -1075,18 +1283,52 @@ export class ReplicadBuilder {
    * Build complete magnetic assembly (core + coil).
    * @param {Object} magneticData - MAS format magnetic data
    * @param {string} projectName - Name for the output
-   * @returns {Object} - Replicad compound shape
+   * @param {Object} [options] - Build options, see getMagneticAssembly
+   * @returns {Object|null} - Replicad compound shape, or null when nothing was built; getMagneticAssembly
+   *   keeps the bodies apart
    */
-  getMagnetic(magneticData, projectName = 'Magnetic') {
+  getMagnetic(magneticData, projectName = 'Magnetic', options = {}) {
+    return this.getMagneticAssembly(magneticData, projectName, options).toCompound();
+  }
+
+  /**
+   * Build complete magnetic assembly (core + coil), keeping every body apart.
+   * @param {Object} magneticData - MAS format magnetic data
+   * @param {string} projectName - Name for the output
+   * @param {Object} [options] - Build options
+   * @param {Object} [options.edgeFinish] - Round or chamfer core edges, see getCore
+   * @param {number} [options.coatingThickness] - Core coating thickness in meters, defaults to the typical thickness of
+   *   CoreFunctionalDescription.coating (epoxy or parylene); 0 leaves the core bare
+   * @param {string} [options.dimensionPolicy] - Tolerance corner of the core and bobbin: 'nominal' (default),
+   *   'minimum', 'maximum' or 'random', see DimensionPolicy
+   * @param {Function} [options.rng] - Random number generator in [0, 1) for the random policy, Math.random by default
+   * @param {boolean} [options.assembly] - Keep the core pieces as separate bodies, see getCore
+   * @param {boolean} [options.gapInserts] - Fill the gaps of columns with distributed gaps with spacer inserts, see getSpacers
+   * @param {Object} [options.litz] - Litz wire rendering, { mode, serving }, see getTurn
+   * @param {Object} [options.foil] - Foil turns, { overlap, leadWidth, leadLength, leadClearance } in meters, see getTurn
+   * @param {boolean} [options.splitInsulation] - Build each turn as its conductor, with its insulation layers
+   *   as separate bodies in turn.insulation[] ({ shape, name, reference, layer }), see getTurnParts
+   * @returns {Object} - Structured magnetic: { name, core, coating, spacers, bobbin, fr4Boards, windings, toCompound() }.
+   *   Every body is { shape, name, reference }, reference being its path in the MAS magnetic
+   *   (e.g. 'coil.turnsDescription[3]'). Core pieces carry the getCore assembly metadata, and turns are
+   *   grouped as windings[].sections[].layers[].turns[]. toCompound() returns the single compound of the
+   *   magnetic built so far, or null when it is empty.
+   *   Magnetic.rotation is applied to every body about the origin and kept as result.rotation. Core pieces
+   *   add it to their transform as magneticRotation, applied after their own rotation and translation.
+   */
+  getMagneticAssembly(magneticData, projectName = 'Magnetic', options = {}) {
     const { makeCompound } = this.r;
-    const allPieces = [];
+    const result = this._createMagneticResult(projectName);
 
     // Detect if toroidal
     let isToroidal = false;
 
     // Build core (simplified - full implementation would need shape builders)
     const coreData = magneticData.core || {};
-    const geometricalDescription = coreData.geometricalDescription || [];
+    const dimensionPolicy = options.dimensionPolicy || DimensionPolicy.Nominal;
+    const rng = options.rng || Math.random;
+    // Resolved once, so every part built from the core sees the same sample
+    const geometricalDescription = applyDimensionPolicy(coreData.geometricalDescription || [], dimensionPolicy, rng);
     
     for (const geometricalPart of geometricalDescription) {
       if (geometricalPart.type === 'toroidal') {
@@ -1097,16 +1339,56 @@ export class ReplicadBuilder {
       }
     }
 
+    // Stacked cores replicate their pieces along the depth, unless the description already holds every stack
+    const numberStacks = coreData.functionalDescription?.numberStacks || 1;
+    const stackCopies = getStackCopies(geometricalDescription, numberStacks);
+    const gapping = coreData.functionalDescription?.gapping || [];
+    const coatingThickness = getCoatingThickness(coreData.functionalDescription?.coating, options.coatingThickness);
+
     // Build core geometry using getCore from coreShapes.js
     if (geometricalDescription.length > 0) {
       try {
-        const coreShape = getCore(this.r, geometricalDescription);
+        const coreResult = getCore(this.r, geometricalDescription, {
+          numberStacks,
+          gapping,
+          edgeFinish: options.edgeFinish,
+          assembly: options.assembly
+        });
+        let coreShape = coreResult;
+        if (coreResult && options.assembly) {
+          // makeCompound consumes its shapes, so the returned pieces are kept out of it
+          result.core = coreResult.map((piece) => ({ ...piece, reference: `core.geometricalDescription[${piece.elementIndex}]` }));
+          coreShape = makeCompound(coreResult.map((piece) => piece.shape.clone()));
+        } else if (coreShape) {
+          result.core = [{ shape: coreShape, name: coreData.name || 'Core', reference: 'core' }];
+        }
         if (coreShape) {
-          allPieces.push(coreShape);
+          try {
+            const coatingShape = getCoating(this.r, coreShape, coatingThickness);
+            if (coatingShape) {
+              result.coating = { shape: coatingShape, name: 'Coating', reference: 'core.functionalDescription.coating' };
+            }
+          } catch (err) {
+            console.warn('Could not build core coating:', err.message);
+          }
         }
       } catch (err) {
         console.warn('Could not build core:', err.message);
       }
+
+      try {
+        const spacersShape = getSpacers(this.r, geometricalDescription, gapping, { gapInserts: options.gapInserts });
+        if (spacersShape) {
+          const hasSpacerElements = geometricalDescription.some((part) => part.type === 'spacer');
+          result.spacers.push({
+            shape: spacersShape,
+            name: 'Spacers',
+            reference: hasSpacerElements ? 'core.geometricalDescription' : 'core.functionalDescription.gapping'
+          });
+        }
+      } catch (err) {
+        console.warn('Could not build spacers:', err.message);
+      }
     }
 
     // Build coil turns
@@ -1118,7 +1400,26 @@ export class ReplicadBuilder {
       bobbinProcessed = bobbinFromDict({});
     } else {
       const bobbinProcessedData = bobbinData.processedDescription || {};
-      bobbinProcessed = bobbinFromDict(bobbinProcessedData);
+      bobbinProcessed = bobbinFromDict(bobbinProcessedData, dimensionPolicy, rng);
+    }
+
+    // Open cores (drums, rods) are wound directly on the core, so their column replaces the bobbin
+    let windingColumn = null;
+    try {
+      windingColumn = getWindingColumn(this.r, geometricalDescription);
+    } catch (err) {
+      console.warn('Could not get winding column:', err.message);
+    }
+    if (windingColumn) {
+      bobbinProcessed = bobbinFromDict(windingColumn);
+    }
+    // Bobbin and turns wrap the column of every stack
+    if (stackCopies > 1) {
+      try {
+        bobbinProcessed = this._stackBobbin(bobbinProcessed, stackCopies, getStackPitch(this.r, geometricalDescription));
+      } catch (err) {
+        console.warn('Could not stack the winding column:', err.message);
+      }
     }
 
     // Build bobbin if not toroidal and not a planar transformer
@@ -1136,46 +1437,63 @@ export class ReplicadBuilder {
       }
     }
 
-    // Build bobbin only if not toroidal and not planar (planar uses FR4 boards instead)
-    if (!isToroidal && !isPlanar) {
+    // Build bobbin only if not toroidal, not planar (planar uses FR4 boards instead)
+    // and not wound directly on the core
+    if (!isToroidal && !isPlanar && !windingColumn) {
       const bobbinGeom = this.getBobbin(bobbinProcessed);
       if (bobbinGeom !== null) {
-        allPieces.push(bobbinGeom);
+        result.bobbin = { shape: bobbinGeom, name: bobbinData.name || 'Bobbin', reference: 'coil.bobbin' };
       }
     }
 
     // Build FR4 boards for planar transformers
     if (isPlanar) {
       console.log('Building FR4, isPlanar:', isPlanar, 'groupsData:', groupsData.length);
-      for (const groupData of groupsData) {
+      groupsData.forEach((groupData, groupIndex) => {
         const groupDesc = groupFromDict(groupData);
         
         try {
           const fr4Board = this.getFR4Board(coilData);
           if (fr4Board !== null) {
-            // FR4 board temporarily hidden for debugging
-            // allPieces.push(fr4Board);
+            // FR4 boards are kept out of toCompound(), they are temporarily hidden for debugging
+            result.fr4Boards.push({
+              shape: fr4Board,
+              name: groupDesc.name || `FR4 board ${groupIndex}`,
+              reference: `coil.groupsDescription[${groupIndex}]`
+            });
           }
         } catch (err) {
           console.warn('[MVB] Could not build FR4 board:', err.message);
         }
-      }
+      });
     }
 
-    // Get wire info
-    let wireDesc = { type: WireType.Round, numberConductors: 1 };
-    const functionalDesc = coilData.functionalDescription || [];
-    if (functionalDesc.length > 0) {
-      const wireData = functionalDesc[0].wire || {};
-      if (Object.keys(wireData).length > 0) {
-        wireDesc = wireFromDict(wireData);
+    // Gapped and cut toroids keep their gap sectors free of turns, turns bend around rounded edges and sit on the coating
+    let gapSectors = [];
+    let edgeRadius = 0;
+    if (isToroidal) {
+      try {
+        gapSectors = getGapSectors(this.r, geometricalDescription, gapping);
+        edgeRadius = getToroidalEdgeRadius(this.r, geometricalDescription, options.edgeFinish);
+      } catch (err) {
+        console.warn('Could not get toroidal turn layout:', err.message);
       }
     }
 
     // Build turns
     const turnsData = coilData.turnsDescription || [];
-    for (const turnData of turnsData) {
+
+    // First and last turn of each winding parallel, where foils get their leads
+    const windingEnds = new Map();
+    turnsData.forEach((turnData, turnIndex) => {
+      const key = `${turnData.winding}/${turnData.parallel ?? 0}`;
+      windingEnds.set(key, { first: windingEnds.get(key)?.first ?? turnIndex, last: turnIndex });
+    });
+
+    turnsData.forEach((turnData, turnIndex) => {
       const turnDesc = turnFromDict(turnData);
+      let wireDesc = this._getTurnWire(coilData, turnData);
+      const windingEnd = windingEnds.get(`${turnData.winding}/${turnData.parallel ?? 0}`);
 
       // Get wire dimensions from turn data if available
       if (turnData.dimensions) {
@@ -1184,32 +1502,249 @@ export class ReplicadBuilder {
           // Determine wire type from crossSectionalShape
           const crossShape = (turnData.crossSectionalShape || '').toLowerCase();
           const isRectangular = crossShape === 'rectangular' || crossShape === 'foil' || crossShape === 'planar';
+          // The wire keeps what the turn dimensions do not describe: litz strands, foil sheet size,
+          // rounded edges and the conductor inside the insulation
+          const isLitz = !isRectangular && wireDesc.type === WireType.Litz;
+          const isFoil = isRectangular && wireDesc.type === WireType.Foil;
+          let type = isRectangular ? WireType.Rectangular : WireType.Round;
+          if (isLitz || isFoil) {
+            type = wireDesc.type;
+          }
           
           wireDesc = {
-            type: isRectangular ? WireType.Rectangular : WireType.Round,
+            type,
             outerDiameter: dims[0],
-            conductingDiameter: dims[0],
+            conductingDiameter: wireDesc.conductingDiameter ?? dims[0],
             outerWidth: dims[0],
             outerHeight: dims[1],
-            numberConductors: 1
+            numberConductors: isLitz ? wireDesc.numberConductors : 1,
+            coating: wireDesc.coating,
+            ...(isLitz && { strand: wireDesc.strand }),
+            ...(isRectangular && {
+              conductingWidth: wireDesc.conductingWidth,
+              conductingHeight: wireDesc.conductingHeight,
+              edgeRadius: wireDesc.edgeRadius
+            })
           };
         }
       }
 
-      const turnGeom = this.getTurn(turnDesc, wireDesc, bobbinProcessed, isToroidal);
-      allPieces.push(turnGeom);
+      const turnOptions = {
+        gapSectors,
+        edgeRadius,
+        coatingThickness,
+        litz: options.litz,
+        foil: {
+          ...options.foil,
+          isFirstTurn: windingEnd.first === turnIndex,
+          isLastTurn: windingEnd.last === turnIndex
+        }
+      };
+      const turn = {
+        shape: null,
+        name: turnDesc.name || `Turn ${turnIndex}`,
+        reference: `coil.turnsDescription[${turnIndex}]`
+      };
+      if (options.splitInsulation) {
+        const parts = this.getTurnParts(turnDesc, wireDesc, bobbinProcessed, isToroidal, turnOptions);
+        turn.shape = parts.conductor;
+        turn.insulation = parts.insulation.map((shape, layerIndex) => ({
+          shape,
+          name: `${turn.name} insulation ${layerIndex}`,
+          reference: turn.reference,
+          layer: layerIndex
+        }));
+      } else {
+        turn.shape = this.getTurn(turnDesc, wireDesc, bobbinProcessed, isToroidal, turnOptions);
+      }
+      this._addTurnToWindings(result.windings, coilData, turnData, turn);
+    });
+
+    // Mounting orientation (e.g. horizontal), applied to every body about the origin
+    if (magneticData.rotation) {
+      result.rotation = magneticData.rotation;
+      for (const piece of result.core) {
+        if (piece.transform) {
+          piece.transform = { ...piece.transform, magneticRotation: [...magneticData.rotation] };
+        }
+      }
+      const bodies = [
+        ...result.core, result.coating, ...result.spacers, result.bobbin, ...result.fr4Boards,
+        ...result.getTurns(), ...result.getInsulation()
+      ];
+      for (const body of bodies.filter(Boolean)) {
+        body.shape = applyMasRotation(body.shape, magneticData.rotation);
+      }
     }
 
-    if (allPieces.length > 0) {
-      return makeCompound(allPieces);
-    }
-    return null;
+    return result;
   }
 
   // ==========================================================================
   // Helper Methods
   // ==========================================================================
 
+  /**
+   * Create the empty structured result of getMagneticAssembly.
+   * @param {string} projectName - Name for the output
+   * @returns {Object} - Structured magnetic, see getMagneticAssembly
+   */
+  _createMagneticResult(projectName) {
+    const { makeCompound } = this.r;
+
+    return {
+      name: projectName,
+      rotation: null,
+      core: [],
+      coating: null,
+      spacers: [],
+      bobbin: null,
+      fr4Boards: [],
+      windings: [],
+
+      /**
+       * Get every turn body, in winding, section and layer order.
+       * @returns {Array<Object>}
+       */
+      getTurns() {
+        return this.windings.flatMap((winding) =>
+          winding.sections.flatMap((section) => section.layers.flatMap((layer) => layer.turns))
+        );
+      },
+
+      /**
+       * Get every turn insulation body, see the splitInsulation option of getMagneticAssembly.
+       * @returns {Array<Object>}
+       */
+      getInsulation() {
+        return this.getTurns().flatMap((turn) => turn.insulation || []);
+      },
+
+      /**
+       * Combine the bodies in a single compound, as getMagnetic returns it.
+       * Bodies are cloned, so the structured result stays usable (and toCompound can be called again).
+       * @returns {Object|null} - Replicad compound or null if nothing was built
+       */
+      toCompound() {
+        const bodies = [
+          ...this.core, this.coating, ...this.spacers, this.bobbin, ...this.getTurns(), ...this.getInsulation()
+        ].filter(Boolean);
+        if (bodies.length === 0) {
+          return null;
+        }
+        return makeCompound(bodies.map((body) => body.shape.clone()));
+      }
+    };
+  }
+
+  /**
+   * File a turn under its winding, section and layer, creating them in the order turns refer to them.
+   * Missing names fall back to a single unnamed winding, section or layer.
+   * @param {Array<Object>} windings - Windings of the structured result
+   * @param {Object} coilData - MAS coil, to find the references of windings, sections and layers
+   * @param {Object} turnData - MAS turn
+   * @param {Object} turn - Turn body { shape, name, reference }
+   */
+  _addTurnToWindings(windings, coilData, turnData, turn) {
+    const findOrAdd = (list, name, descriptions, path, childrenKey) => {
+      let entry = list.find((item) => item.name === name);
+      if (!entry) {
+        const index = (descriptions || []).findIndex((description) => description.name === name);
+        entry = { name, reference: index >= 0 ? `coil.${path}[${index}]` : null, [childrenKey]: [] };
+        list.push(entry);
+      }
+      return entry;
+    };
+
+    const winding = findOrAdd(windings, turnData.winding || 'Winding', coilData.functionalDescription, 'functionalDescription', 'sections');
+    const section = findOrAdd(winding.sections, turnData.section || 'Section', coilData.sectionsDescription, 'sectionsDescription', 'layers');
+    const layer = findOrAdd(section.layers, turnData.layer || 'Layer', coilData.layersDescription, 'layersDescription', 'turns');
+    layer.turns.push(turn);
+  }
+
+  /**
+   * Spread angular positions over the arcs the toroidal gap sectors leave free.
+   * The full turn is mapped evenly onto the free arcs, starting at the first sector, so turns keep their
+   * order and spacing ratios: a full layer shrinks to fit between the sectors instead of piling on their edges.
+   * @param {number} angleDeg - Turn angle in degrees
+   * @param {Array<{angle: number, width: number}>} [gapSectors] - Gap sectors in degrees
+   * @param {number} clearanceDeg - Extra angle kept between the turn and the sector edges
+   * @returns {number} - Angle in degrees, unchanged without sectors
+   * @private
+   */
+  _skipGapSectors(angleDeg, gapSectors, clearanceDeg) {
+    if (!gapSectors || gapSectors.length === 0) {
+      return angleDeg;
+    }
+
+    const normalize = (angle) => ((angle % 360) + 360) % 360;
+    // Blocked arcs, measured from the start of the first sector
+    const origin = gapSectors[0].angle - gapSectors[0].width / 2 - clearanceDeg;
+    const blocked = gapSectors
+      .map((sector) => {
+        const halfWidth = sector.width / 2 + clearanceDeg;
+        const start = normalize(sector.angle - halfWidth - origin);
+        return [start, start + 2 * halfWidth];
+      })
+      .sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    for (const arc of blocked) {
+      const last = merged[merged.length - 1];
+      if (last && arc[0] <= last[1]) {
+        last[1] = Math.max(last[1], arc[1]);
+      } else {
+        merged.push([...arc]);
+      }
+    }
+    // An arc running past the full turn blocks the start of the first one too
+    const lastEnd = merged[merged.length - 1][1];
+    if (lastEnd > 360) {
+      merged[0][1] = Math.max(merged[0][1], lastEnd - 360);
+    }
+
+    const freeArcs = [];
+    merged.forEach((arc, index) => {
+      const next = index + 1 < merged.length ? merged[index + 1][0] : 360;
+      if (next > arc[1]) {
+        freeArcs.push([arc[1], next]);
+      }
+    });
+    const freeLength = freeArcs.reduce((sum, [start, end]) => sum + end - start, 0);
+    if (freeLength <= 0) {
+      return angleDeg;
+    }
+
+    let position = normalize(angleDeg - origin) / 360 * freeLength;
+    for (const [start, end] of freeArcs) {
+      if (position <= end - start) {
+        return origin + start + position;
+      }
+      position -= end - start;
+    }
+    return origin + freeArcs[freeArcs.length - 1][1];
+  }
+
+  /**
+   * Extend the column of a bobbin built for one stack so it wraps all the stacks of the core.
+   * A round column becomes oblong, as stacked round columns sit side by side along the depth.
+   * @param {Object} bobbinDescription - Processed bobbin description for a single stack
+   * @param {number} numberStacks - Number of stacks added by getCore
+   * @param {number} stackPitch - Depth of one stack in meters
+   * @returns {Object} - Processed bobbin description for the stacked core
+   * @private
+   */
+  _stackBobbin(bobbinDescription, numberStacks, stackPitch) {
+    const columnShape = bobbinDescription.columnShape?.toLowerCase();
+    const isRound = columnShape === ColumnShape.Round || columnShape === 'round';
+
+    return {
+      ...bobbinDescription,
+      columnShape: isRound ? ColumnShape.Oblong : bobbinDescription.columnShape,
+      columnDepth: bobbinDescription.columnDepth + (numberStacks - 1) * stackPitch / 2
+    };
+  }
+
   /**
    * Create a box centered at origin.
    * makeBaseBox creates a box from Z=0 to Z=height, so we need to offset.
@@ -1769,6 +2304,340 @@ export class ReplicadBuilder {
         .translate([center[0], center[1], center[2]]);
     }
   }
+
+  /**
+   * Get the wire a turn is made of: the wire of its own winding in the functional description.
+   * Turns of unknown windings take the wire of the first winding, or round wire without a functional description.
+   * @param {Object} coilData - MAS coil
+   * @param {Object} turnData - MAS turn, naming its winding
+   * @returns {WireDescription}
+   * @private
+   */
+  _getTurnWire(coilData, turnData) {
+    const windings = coilData.functionalDescription || [];
+    const winding = windings.find((entry) => entry.name === turnData.winding) || windings[0];
+    return wireFromDict(winding ? winding.wire : null);
+  }
+
+  /**
+   * Get the cross-section to sweep along the turn path, for wires the round and rectangular primitives
+   * cannot draw (e.g. litz strands, oval turns, rounded edges).
+   * @param {TurnDescription} turnDescription - Turn parameters, oval turns take their dimensions from it
+   * @param {WireDescription} wireDescription - Wire parameters
+   * @param {number} wireWidth - Outer width of the wire (its diameter if round), in mm
+   * @param {number} wireHeight - Outer height of the wire (its diameter if round), in mm
+   * @param {Object} [turnOptions] - Layout options, see getTurn
+   * @returns {Array<Object>|null} - Replicad drawings in the cross-section plane (u outward from the turn,
+   *   v along Z, in mm), or null to use the primitives
+   * @private
+   */
+  _getWireCrossSection(turnDescription, wireDescription, wireWidth, wireHeight, turnOptions = {}) {
+    const { drawCircle } = this.r;
+    const SCALE = this.SCALE;
+
+    if (turnOptions.crossSection) {
+      return turnOptions.crossSection;
+    }
+
+    // Compressed or flattened round wire: a stadium, width along u and height along v
+    const turnCrossSection = turnDescription.crossSectionalShape?.toLowerCase();
+    if (turnCrossSection === TurnCrossSectionalShape.Oval && turnDescription.dimensions?.length >= 2) {
+      const width = turnDescription.dimensions[0] * SCALE;
+      const height = turnDescription.dimensions[1] * SCALE;
+      if (Math.abs(width - height) < 1e-9) {
+        return [drawCircle(width / 2)];
+      }
+      return [this._drawStadium(width, height)];
+    }
+
+    const wireType = wireDescription.type || wireDescription.wireType;
+    if (wireType === WireType.Litz) {
+      return this._getLitzCrossSection(wireDescription, wireWidth / 2, turnOptions.litz);
+    }
+
+    // Rectangular magnet wire with rounded edges
+    const isRectangular = wireType === WireType.Rectangular || turnCrossSection === TurnCrossSectionalShape.Rectangular;
+    const edgeRadius = isRectangular ? this._getEdgeRadius(wireDescription, wireWidth, wireHeight) : 0;
+    if (edgeRadius > 0) {
+      return [this._drawRoundedRectangle(wireWidth, wireHeight, edgeRadius)];
+    }
+    return null;
+  }
+
+  /**
+   * Get the corner radius of a rectangular wire outline of the given size.
+   * Wire.edgeRadius is the radius of the conductor edges (MAS). Outlines around the conductor, like the
+   * insulation, keep the corners concentric: their radius grows by their offset from the conductor,
+   * when the conducting size is known.
+   * @param {WireDescription} wireDescription - Rectangular wire parameters
+   * @param {number} width - Outline width, in mm
+   * @param {number} height - Outline height, in mm
+   * @returns {number} - Corner radius in mm, 0 for sharp edges
+   * @private
+   */
+  _getEdgeRadius(wireDescription, width, height) {
+    const SCALE = this.SCALE;
+    const edgeRadius = (resolveDimension(wireDescription.edgeRadius) || 0) * SCALE;
+    if (!(edgeRadius > 0)) {
+      return 0;
+    }
+    const conductingWidth = (resolveDimension(wireDescription.conductingWidth) || 0) * SCALE;
+    const conductingHeight = (resolveDimension(wireDescription.conductingHeight) || 0) * SCALE;
+    if (!(conductingWidth > 0) || !(conductingHeight > 0)) {
+      return edgeRadius;
+    }
+    return edgeRadius + Math.max(0, Math.min(width - conductingWidth, height - conductingHeight) / 2);
+  }
+
+  /**
+   * Get the cross-sections of the conductor and of each insulation layer of a turn.
+   * The InsulationWireCoating.numberLayers layers fill the insulation between the conductor and the outer
+   * dimension. They share a single thicknessLayers, so scaling them to fill the insulation splits it evenly.
+   * @param {TurnDescription} turnDescription - Turn parameters
+   * @param {WireDescription} wireDescription - Wire parameters
+   * @returns {{conductor: Array<Object>, insulation: Array<Array<Object>>}|null} - Replicad drawings (see
+   *   _getWireCrossSection), or null when the turn cannot be split
+   * @private
+   */
+  _getInsulatedCrossSections(turnDescription, wireDescription) {
+    const { drawCircle } = this.r;
+    const SCALE = this.SCALE;
+
+    const wireType = wireDescription.type || wireDescription.wireType;
+    const turnCrossSection = turnDescription.crossSectionalShape?.toLowerCase();
+    if (wireType === WireType.Litz || wireType === WireType.Foil || wireType === WireType.Planar ||
+        turnCrossSection === TurnCrossSectionalShape.Oval) {
+      return null;
+    }
+
+    const dims = turnDescription.dimensions || [];
+    const isRectangular = wireType === WireType.Rectangular || turnCrossSection === TurnCrossSectionalShape.Rectangular;
+
+    // Outer and conducting sizes in mm, and the boundary drawing between them (0 = conductor, 1 = outer)
+    let outer, conducting, drawBoundary;
+    if (isRectangular) {
+      outer = [
+        dims.length >= 2 ? dims[0] : resolveDimension(wireDescription.outerWidth),
+        dims.length >= 2 ? dims[1] : resolveDimension(wireDescription.outerHeight)
+      ];
+      conducting = [resolveDimension(wireDescription.conductingWidth), resolveDimension(wireDescription.conductingHeight)];
+      drawBoundary = (width, height) => this._drawRoundedRectangle(width, height, this._getEdgeRadius(wireDescription, width, height));
+    } else {
+      const outerDiameter = dims[0] || resolveDimension(wireDescription.outerDiameter);
+      const conductingDiameter = resolveDimension(wireDescription.conductingDiameter);
+      outer = [outerDiameter, outerDiameter];
+      conducting = [conductingDiameter, conductingDiameter];
+      drawBoundary = (width) => drawCircle(width / 2);
+    }
+
+    if (!(conducting[0] > 0) || !(conducting[1] > 0) || !(outer[0] > 0) || !(outer[1] > 0)) {
+      return null;
+    }
+    const gap = Math.min(outer[0] - conducting[0], outer[1] - conducting[1]) / 2;
+    const conductor = [drawBoundary(conducting[0] * SCALE, conducting[1] * SCALE)];
+    if (gap <= 0) {
+      return { conductor, insulation: [] };
+    }
+
+    const coating = typeof wireDescription.coating === 'object' ? wireDescription.coating : null;
+    const numberLayers = Math.max(1, Math.round(coating?.numberLayers || 1));
+    const boundaries = [];
+    for (let layer = 0; layer <= numberLayers; layer++) {
+      boundaries.push(layer / numberLayers);
+    }
+
+    const boundaryAt = (fraction) => drawBoundary(
+      (conducting[0] + (outer[0] - conducting[0]) * fraction) * SCALE,
+      (conducting[1] + (outer[1] - conducting[1]) * fraction) * SCALE
+    );
+    const insulation = [];
+    for (let layer = 0; layer < numberLayers; layer++) {
+      insulation.push([boundaryAt(boundaries[layer + 1]).cut(boundaryAt(boundaries[layer]))]);
+    }
+    return { conductor, insulation };
+  }
+
+  /**
+   * Get the cross-section of a litz bundle.
+   * Without a mode the bundle is a plain round wire. The simplified mode is a single envelope outlined by the
+   * outer ring of strands, the detailed mode draws every strand, plus the serving jacket around them.
+   * @param {WireDescription} wireDescription - Litz wire, with strand and numberConductors
+   * @param {number} bundleRadius - Outer radius of the bundle, in mm
+   * @param {Object} [litz] - Litz options, see getTurn
+   * @returns {Array<Object>|null} - Replicad drawings, or null for a plain round bundle
+   * @private
+   */
+  _getLitzCrossSection(wireDescription, bundleRadius, litz = {}) {
+    const { drawCircle } = this.r;
+    const SCALE = this.SCALE;
+
+    if (!litz.mode) {
+      return null;
+    }
+    let mode = litz.mode;
+    if (mode !== LitzMode.Simplified && mode !== LitzMode.Detailed) {
+      throw new Error(`Unknown litz mode '${mode}'. Supported: ${Object.values(LitzMode).join(', ')}`);
+    }
+    if (mode === LitzMode.Detailed && wireDescription.numberConductors > LITZ_DETAILED_MAX_STRANDS) {
+      console.warn(`[MVB] Litz bundle of ${wireDescription.numberConductors} strands is drawn simplified, ` +
+        `detailed mode is limited to ${LITZ_DETAILED_MAX_STRANDS} strands`);
+      mode = LitzMode.Simplified;
+    }
+
+    // Served bundles are jacketed unless told otherwise, the jacket thickness defaults to 5% of the bundle
+    const coating = typeof wireDescription.coating === 'object' ? wireDescription.coating : null;
+    const serving = litz.serving ?? coating?.type === 'served';
+    const servingThickness = serving
+      ? (resolveDimension(coating?.thickness) || 0.05 * bundleRadius / SCALE) * SCALE
+      : 0;
+
+    // A served bundle looks like a round wire unless its strands are drawn
+    if (serving && mode === LitzMode.Simplified) {
+      return null;
+    }
+
+    const strand = typeof wireDescription.strand === 'object' ? wireDescription.strand : null;
+    const strandDiameter = resolveDimension(strand?.outerDiameter) || resolveDimension(strand?.conductingDiameter);
+    const strandRadius = strandDiameter ? strandDiameter * SCALE / 2 : null;
+    const strands = packLitzStrands(wireDescription.numberConductors, bundleRadius - servingThickness, strandRadius);
+
+    if (mode === LitzMode.Detailed) {
+      const crossSection = strands.map(({ u, v, radius }) => drawCircle(radius).translate(u, v));
+      if (servingThickness > 0) {
+        crossSection.push(drawCircle(bundleRadius).cut(drawCircle(bundleRadius - servingThickness)));
+      }
+      return crossSection;
+    }
+
+    // Envelope: the disk through the centers of the outer strands, scalloped by them
+    const outerRing = Math.max(...strands.map((s) => s.ring));
+    const outerStrands = strands.filter((s) => s.ring === outerRing);
+    const ringRadius = Math.hypot(outerStrands[0].u, outerStrands[0].v);
+    if (ringRadius === 0) {
+      return null;
+    }
+    let envelope = drawCircle(ringRadius);
+    for (const { u, v, radius } of outerStrands) {
+      envelope = envelope.fuse(drawCircle(radius).translate(u, v));
+    }
+    return [envelope];
+  }
+
+  /**
+   * Draw a rectangle with rounded corners centered at the origin, sharp when the radius is not positive
+   * and a stadium when it reaches half the shorter side.
+   * @param {number} width - Total width (x)
+   * @param {number} height - Total height (y)
+   * @param {number} radius - Corner radius
+   * @returns {Object} - Replicad drawing
+   * @private
+   */
+  _drawRoundedRectangle(width, height, radius) {
+    const { drawRectangle, drawRoundedRectangle } = this.r;
+    if (radius <= 0) {
+      return drawRectangle(width, height);
+    }
+    if (radius >= Math.min(width, height) / 2) {
+      return this._drawStadium(width, height);
+    }
+    return drawRoundedRectangle(width, height, radius);
+  }
+
+  /**
+   * Draw a stadium centered at the origin: a rectangle with semicircular ends on its shorter sides.
+   * @param {number} width - Total width (x)
+   * @param {number} height - Total height (y)
+   * @returns {Object} - Replicad drawing
+   * @private
+   */
+  _drawStadium(width, height) {
+    const { draw } = this.r;
+    const radius = Math.min(width, height) / 2;
+    const hw = width / 2;
+    const hh = height / 2;
+
+    if (width > height) {
+      // Straight edges along x, semicircles at ±x
+      return draw([-(hw - radius), -hh])
+        .hLineTo(hw - radius)
+        .threePointsArcTo([hw - radius, hh], [hw, 0])
+        .hLineTo(-(hw - radius))
+        .threePointsArcTo([-(hw - radius), -hh], [-hw, 0])
+        .close();
+    }
+    // Straight edges along y, semicircles at ±y
+    return draw([hw, -(hh - radius)])
+      .vLineTo(hh - radius)
+      .threePointsArcTo([-hw, hh - radius], [0, hh])
+      .vLineTo(-(hh - radius))
+      .threePointsArcTo([hw, -(hh - radius)], [0, -hh])
+      .close();
+  }
+
+  /**
+   * Sketch a cross-section drawing on the XZ plane, u along X and v along Z.
+   * @param {Object} drawing - Replicad drawing
+   * @param {Array} origin - [x, y, z] position of the cross-section center
+   * @returns {Array<Object>} - Replicad faces, one per disjoint region of the drawing
+   * @private
+   */
+  _sketchCrossSection(drawing, origin) {
+    const sketch = drawing.sketchOnPlane('XZ', origin);
+    return sketch.sketches ? sketch.sketches.map((s) => s.face()) : [sketch.face()];
+  }
+
+  /**
+   * Create a straight tube by extruding a cross-section.
+   * Like the turn pieces it replaces, the tube lies in the XY plane: u points to outwardAngleDeg and
+   * the tube runs perpendicular to it.
+   *
+   * @param {Array<Object>} crossSection - Replicad drawings, see _getWireCrossSection
+   * @param {number} length - Tube length
+   * @param {Array} center - [x, y, z] position of the tube center
+   * @param {number} outwardAngleDeg - Direction of u in degrees (0=+X, 90=+Y, etc.)
+   * @returns {Object} - Replicad solid, or compound of solids
+   * @private
+   */
+  _makeCrossSectionTube(crossSection, length, center, outwardAngleDeg) {
+    const { Vector, basicFaceExtrusion, makeCompound } = this.r;
+
+    const extrusion = new Vector([0, length, 0]);
+    const solids = crossSection.flatMap((drawing) =>
+      this._sketchCrossSection(drawing, [0, -length / 2, 0]).map((face) => basicFaceExtrusion(face, extrusion))
+    );
+    extrusion.delete();
+
+    let tube = solids.length === 1 ? solids[0] : makeCompound(solids);
+    if (outwardAngleDeg % 360 !== 0) {
+      tube = tube.rotate(outwardAngleDeg, [0, 0, 0], [0, 0, 1]);
+    }
+    return tube.translate(center);
+  }
+
+  /**
+   * Create an arc by revolving a cross-section around an axis parallel to Z.
+   *
+   * @param {Array<Object>} crossSection - Replicad drawings, see _getWireCrossSection
+   * @param {number} majorRadius - Bend radius (distance from arc center to cross-section center)
+   * @param {Array} center - [x, y, z] position of arc center
+   * @param {number} startAngleDeg - Starting angle in degrees (0=+X, 90=+Y, etc.)
+   * @param {number} sweepAngleDeg - Arc angle in degrees, CCW from startAngleDeg
+   * @returns {Object} - Replicad solid, or compound of solids
+   * @private
+   */
+  _makeCrossSectionArc(crossSection, majorRadius, center, startAngleDeg, sweepAngleDeg) {
+    const { revolution, makeCompound } = this.r;
+
+    const solids = crossSection.flatMap((drawing) =>
+      this._sketchCrossSection(drawing, [majorRadius, 0, 0]).map((face) => revolution(face, [0, 0, 0], [0, 0, 1], sweepAngleDeg))
+    );
+
+    let arc = solids.length === 1 ? solids[0] : makeCompound(solids);
+    if (startAngleDeg % 360 !== 0) {
+      arc = arc.rotate(startAngleDeg, [0, 0, 0], [0, 0, 1]);
+    }
+    return arc.translate(center);
+  }
 }
 
 // ==========================================================================
@@ -2,28 +2,84 @@
  * Utility functions for OpenMagnetics Virtual Builder
  */
 
+/**
+ * Dimension policies: which value of a DimensionWithTolerance geometry is built with.
+ * Random picks a uniform sample between minimum and maximum, for Monte-Carlo fit checks.
+ */
+export const DimensionPolicy = Object.freeze({
+  Nominal: 'nominal',
+  Minimum: 'minimum',
+  Maximum: 'maximum',
+  Random: 'random'
+});
+
+/**
+ * Litz wire rendering modes.
+ * Simplified sweeps one envelope outlined by the outer strands, Detailed sweeps every strand.
+ */
+export const LitzMode = Object.freeze({
+  Simplified: 'simplified',
+  Detailed: 'detailed'
+});
+
+/**
+ * Resolve a DimensionWithTolerance (or plain number) to a single value.
+ * Missing bounds fall back to the nominal value, and a missing nominal to the middle of the bounds.
+ * @param {Object|number} value - DimensionWithTolerance or number
+ * @param {string} [policy] - DimensionPolicy, nominal by default
+ * @param {Function} [rng] - Random number generator in [0, 1) for the random policy
+ * @returns {number|null|undefined} The resolved value
+ * @throws {Error} - When the policy is not a DimensionPolicy
+ */
+export function resolveDimension(value, policy = DimensionPolicy.Nominal, rng = Math.random) {
+  if (!Object.values(DimensionPolicy).includes(policy)) {
+    throw new Error(`Unknown dimension policy '${policy}'. Supported: ${Object.values(DimensionPolicy).join(', ')}`);
+  }
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+
+  const { minimum, maximum } = value;
+  const hasMinimum = minimum !== null && minimum !== undefined;
+  const hasMaximum = maximum !== null && maximum !== undefined;
+  let nominal = value.nominal;
+  if (nominal === null || nominal === undefined) {
+    if (!hasMaximum) {
+      nominal = minimum;
+    } else if (!hasMinimum) {
+      nominal = maximum;
+    } else {
+      nominal = Math.round(((maximum + minimum) / 2) * 1e6) / 1e6;
+    }
+  }
+
+  switch (policy) {
+    case DimensionPolicy.Nominal:
+      return nominal;
+    case DimensionPolicy.Minimum:
+      return hasMinimum ? minimum : nominal;
+    case DimensionPolicy.Maximum:
+      return hasMaximum ? maximum : nominal;
+    case DimensionPolicy.Random:
+      if (!hasMinimum || !hasMaximum) {
+        return nominal;
+      }
+      return minimum + rng() * (maximum - minimum);
+  }
+}
+
 /**
  * Flatten MAS dimensions object to simple numeric values.
  * @param {Object} data - Object with dimensions property
+ * @param {string} [policy] - DimensionPolicy, nominal by default
+ * @param {Function} [rng] - Random number generator in [0, 1) for the random policy
  * @returns {Object} Flattened dimensions
  */
-export function flattenDimensions(data) {
+export function flattenDimensions(data, policy = DimensionPolicy.Nominal, rng = Math.random) {
   const dimensions = { ...data.dimensions };
 
   for (const [k, v] of Object.entries(dimensions)) {
-    if (typeof v === 'object' && v !== null) {
-      let nominal = v.nominal;
-      if (nominal === null || nominal === undefined) {
-        if (v.maximum === null || v.maximum === undefined) {
-          nominal = v.minimum;
-        } else if (v.minimum === null || v.minimum === undefined) {
-          nominal = v.maximum;
-        } else {
-          nominal = Math.round(((v.maximum + v.minimum) / 2) * 1e6) / 1e6;
-        }
-      }
-      dimensions[k] = nominal;
-    }
+    dimensions[k] = resolveDimension(v, policy, rng);
   }
 
   return dimensions;
@@ -47,15 +103,89 @@ export function convertAxis(coordinates) {
   }
 }
 
+/**
+ * Rotate a shape by a MAS rotation, about the origin.
+ * MAS rotations are [about radial, about height, about depth] in radians, applied in that order,
+ * which in replicad axes (see convertAxis) are rotations about X, Z and Y.
+ * @param {Object} shape - Replicad shape, consumed like by any replicad transform
+ * @param {number[]} [rotation] - MAS rotation in radians
+ * @returns {Object} Rotated shape
+ */
+export function applyMasRotation(shape, rotation) {
+  if (!rotation || rotation.length < 3) {
+    return shape;
+  }
+
+  const rotX = -(rotation[0] / Math.PI) * 180;
+  const rotZ = -(rotation[1] / Math.PI) * 180;
+  const rotY = -(rotation[2] / Math.PI) * 180;
+
+  if (rotX !== 0) shape = shape.rotate(rotX, [0, 0, 0], [1, 0, 0]);
+  if (rotZ !== 0) shape = shape.rotate(rotZ, [0, 0, 0], [0, 0, 1]);
+  if (rotY !== 0) shape = shape.rotate(rotY, [0, 0, 0], [0, 1, 0]);
+  return shape;
+}
+
 /**
  * Get nominal value from a DimensionWithTolerance or plain number
  * @param {Object|number} value - DimensionWithTolerance or number
- * @returns {number|null} The nominal value
+ * @param {string} [policy] - DimensionPolicy, nominal by default
+ * @param {Function} [rng] - Random number generator in [0, 1) for the random policy
+ * @returns {number|null} The nominal value, or the one the policy selects
  */
-function getNominal(value) {
+function getNominal(value, policy = DimensionPolicy.Nominal, rng = Math.random) {
   if (value === null || value === undefined) return null;
-  if (typeof value === 'number') return value;
-  return value.nominal ?? value;
+  return resolveDimension(value, policy, rng);
+}
+
+/**
+ * Pack the strands of a litz bundle in concentric rings.
+ * Strands keep their radius when they fit in the bundle, otherwise the whole packing is scaled down to fit.
+ * @param {number} numberStrands - Number of strands
+ * @param {number} bundleRadius - Radius available for the strands
+ * @param {number|null} [strandRadius] - Outer radius of a strand, the strands fill the bundle when missing
+ * @returns {Array<{u: number, v: number, radius: number, ring: number}>} Strand centers relative to the bundle
+ *   center, and the ring of each one (0 being the innermost)
+ */
+export function packLitzStrands(numberStrands, bundleRadius, strandRadius = null) {
+  const count = Math.max(1, Math.round(numberStrands || 1));
+
+  // Ring radii and angles, in strand diameters
+  const strands = [];
+  if (count === 1) {
+    strands.push({ ringRadius: 0, angle: 0, ring: 0 });
+  } else if (count <= 6) {
+    const ringRadius = 0.5 / Math.sin(Math.PI / count);
+    for (let i = 0; i < count; i++) {
+      strands.push({ ringRadius, angle: (2 * Math.PI * i) / count, ring: 0 });
+    }
+  } else {
+    strands.push({ ringRadius: 0, angle: 0, ring: 0 });
+    let remaining = count - 1;
+    for (let ring = 1; remaining > 0; ring++) {
+      const capacity = Math.floor(Math.PI / Math.asin(1 / (2 * ring)) + 1e-9);
+      const ringCount = Math.min(capacity, remaining);
+      // Odd rings are shifted half a step, so neighbouring rings do not line up
+      const offset = (ring % 2) * Math.PI / ringCount;
+      for (let i = 0; i < ringCount; i++) {
+        strands.push({ ringRadius: ring, angle: offset + (2 * Math.PI * i) / ringCount, ring });
+      }
+      remaining -= ringCount;
+    }
+  }
+
+  const extent = strands[strands.length - 1].ringRadius + 0.5;
+  let diameter = bundleRadius / extent;
+  if (strandRadius && strandRadius > 0) {
+    diameter = Math.min(diameter, 2 * strandRadius);
+  }
+
+  return strands.map(({ ringRadius, angle, ring }) => ({
+    u: ringRadius * diameter * Math.cos(angle),
+    v: ringRadius * diameter * Math.sin(angle),
+    radius: diameter / 2,
+    ring
+  }));
 }
 
 /**
@@ -76,8 +206,10 @@ export function wireFromDict(data) {
     conductingHeight: data.conductingHeight,
     outerWidth: data.outerWidth,
     outerHeight: data.outerHeight,
+    edgeRadius: data.edgeRadius,
     conductingArea: data.conductingArea,
     numberConductors: data.numberConductors ?? 1,
+    strand: data.strand,
     material: data.material,
     coating: data.coating,
     manufacturerInfo: data.manufacturerInfo,
@@ -146,9 +278,11 @@ export function groupFromDict(data) {
 /**
  * Convert MAS Bobbin processed data to CoreBobbinProcessedDescription object
  * @param {Object} data - MAS bobbin processed data
+ * @param {string} [policy] - DimensionPolicy for the column and wall dimensions, nominal by default
+ * @param {Function} [rng] - Random number generator in [0, 1) for the random policy
  * @returns {CoreBobbinProcessedDescription} Bobbin processed description object
  */
-export function bobbinFromDict(data) {
+export function bobbinFromDict(data, policy = DimensionPolicy.Nominal, rng = Math.random) {
   if (!data || typeof data !== 'object') {
     return {
       columnDepth: 0,
@@ -160,13 +294,13 @@ export function bobbinFromDict(data) {
   }
 
   return {
-    columnDepth: getNominal(data.columnDepth) || 0,
+    columnDepth: getNominal(data.columnDepth, policy, rng) || 0,
     columnShape: data.columnShape || 'round',
-    columnThickness: getNominal(data.columnThickness) || 0,
-    columnWidth: getNominal(data.columnWidth),
+    columnThickness: getNominal(data.columnThickness, policy, rng) || 0,
+    columnWidth: getNominal(data.columnWidth, policy, rng),
     coordinates: data.coordinates,
     pins: data.pins,
-    wallThickness: getNominal(data.wallThickness) || 0,
+    wallThickness: getNominal(data.wallThickness, policy, rng) || 0,
     windingWindows: data.windingWindows || []
   };
 }
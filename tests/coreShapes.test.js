@@ -0,0 +1,490 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { loadReplicad, volumeOf, extentOf } from './helpers/replicad.js';
+import {
+  getCore, getShapeBuilder, getSpacers, getStackPitch, getWindingColumn, getCoating, getCoatingThickness,
+  getSupportedFamilies, registerShapeFamily, unregisterShapeFamily, applyDimensionPolicy, ShapePiece, ShapeDimensionError
+} from '../src/coreShapes.js';
+
+let replicad;
+
+beforeAll(async () => {
+  replicad = await loadReplicad();
+}, 120000);
+
+const e42 = { name: 'E 42/21/15', family: 'e', dimensions: { A: 0.042, B: 0.021, C: 0.015, D: 0.015, E: 0.03, F: 0.012 } };
+const pq = { name: 'PQ 20/16', family: 'pq', familySubtype: '1', dimensions: { A: 0.02, B: 0.016, C: 0.01, D: 0.012, E: 0.014, F: 0.008, G: 0.011 } };
+const toroid = { name: 'T 22/14/13', family: 't', dimensions: { A: 0.022, B: 0.014, C: 0.013 } };
+
+// Both halves of an E 42/21/15 set, mating at Z=0
+const eHalfSets = [
+  { type: 'half set', coordinates: [0, 0, 0], rotation: [Math.PI, Math.PI, 0], shape: e42 },
+  { type: 'half set', coordinates: [0, 0, 0], rotation: [0, 0, 0], shape: e42 }
+];
+const columnGap = (height, length) => ({
+  type: 'subtractive', length, coordinates: [0, height, 0], shape: 'rectangular', sectionDimensions: [0.012, 0.015]
+});
+const columnSectionArea = 0.012 * 0.015;
+
+const pieceVolume = (shape) => volumeOf(getShapeBuilder(replicad, shape.family).getPiece(shape));
+
+describe('drum cores', () => {
+  const drum = { name: 'DR 10', family: 'drum', dimensions: { A: 0.01, B: 0.0054, D: 0.0036, F: 0.0045 } };
+
+  it('are a barrel between two flanges', () => {
+    const { A, B, D, F } = drum.dimensions;
+    expect(pieceVolume(drum)).toBeCloseTo(Math.PI * (A / 2) ** 2 * (B - D) + Math.PI * (F / 2) ** 2 * D, 12);
+  });
+
+  it('wind their turns on the barrel', () => {
+    const column = getWindingColumn(replicad, [{ type: 'closed', shape: drum }]);
+    expect(column).toMatchObject({ columnShape: 'round', columnWidth: 0.00225, columnDepth: 0.00225, columnThickness: 0 });
+    expect(column.windingWindows[0].height).toBeCloseTo(0.0036, 9);
+    expect(column.windingWindows[0].width).toBeCloseTo(0.00275, 9);
+  });
+});
+
+describe('rod cores', () => {
+  it('are round, or rectangular for subtype 2', () => {
+    expect(pieceVolume({ family: 'rod', dimensions: { A: 0.01, B: 0.05 } })).toBeCloseTo(Math.PI * 0.005 ** 2 * 0.05, 12);
+    expect(pieceVolume({ family: 'rod', familySubtype: '2', dimensions: { A: 0.01, B: 0.05, C: 0.004 } }))
+      .toBeCloseTo(0.01 * 0.004 * 0.05, 12);
+  });
+
+  it('wind their turns along the whole rod', () => {
+    const rod = { family: 'rod', familySubtype: '2', dimensions: { A: 0.01, B: 0.05, C: 0.004 } };
+    const column = getWindingColumn(replicad, [{ type: 'closed', shape: rod }]);
+    expect(column).toMatchObject({ columnShape: 'rectangular', columnWidth: 0.005, columnDepth: 0.002 });
+    expect(column.windingWindows).toEqual([{ height: 0.05, width: 0.005 }]);
+  });
+});
+
+describe('EI and UI sets', () => {
+  const ei = { name: 'EI 48', family: 'ei', familySubtype: '1', dimensions: { A: 0.048, B: 0.032, C: 0.016, D: 0.024, E: 0.032, F: 0.016 } };
+  const ui = { name: 'UI 39', family: 'ui', familySubtype: '1', dimensions: { A: 0.039, B: 0.0455, C: 0.013, D: 0.0325, E: 0.013 } };
+
+  it('have E and U pieces', () => {
+    const { A, B, C, D, E, F } = ei.dimensions;
+    expect(pieceVolume(ei)).toBeCloseTo(A * C * B - (E - F) * C * D, 12);
+    const u = ui.dimensions;
+    expect(pieceVolume(ui)).toBeCloseTo(u.A * u.C * u.B - u.E * u.C * u.D, 12);
+  });
+
+  it('accepts shape records without the I-bar thickness G', () => {
+    expect(() => getShapeBuilder(replicad, 'ei').validateDimensions(ei)).not.toThrow();
+    expect(() => getShapeBuilder(replicad, 'ui').validateDimensions(ui)).not.toThrow();
+  });
+
+  it('makes the I-bar as thick as the legs without G', () => {
+    const plate = getShapeBuilder(replicad, 'ei').getPlate(ei);
+    expect(extentOf(plate, 2)).toBeCloseTo((ei.dimensions.A - ei.dimensions.E) / 2, 6);
+
+    const uiPlate = getShapeBuilder(replicad, 'ui').getPlate(ui);
+    expect(extentOf(uiPlate, 2)).toBeCloseTo((ui.dimensions.A - ui.dimensions.E) / 2, 6);
+  });
+
+  it('makes the I-bar G thick when given', () => {
+    const plate = getShapeBuilder(replicad, 'ei').getPlate({ ...ei, dimensions: { ...ei.dimensions, G: 0.005 } });
+    expect(extentOf(plate, 2)).toBeCloseTo(0.005, 6);
+    expect(volumeOf(plate)).toBeCloseTo(ei.dimensions.A * ei.dimensions.C * 0.005, 10);
+  });
+});
+
+describe('UT, H, ELP and PQI shapes', () => {
+  it('cut the UT window beside the winding leg', () => {
+    const { A, B, C, D, E } = { A: 0.02, B: 0.016, C: 0.008, D: 0.011, E: 0.007 };
+    const ut = { family: 'ut', dimensions: { A, B, C, D, E, F: 0.008 } };
+    expect(pieceVolume(ut)).toBeCloseTo(A * C * B - E * C * D, 12);
+  });
+
+  it('cut a window above and below the H crossbar', () => {
+    const { A, B, C, D, E } = { A: 0.025, B: 0.02, C: 0.01, D: 0.007, E: 0.015 };
+    expect(pieceVolume({ family: 'h', dimensions: { A, B, C, D, E } })).toBeCloseTo(A * C * B - 2 * E * C * D, 12);
+  });
+
+  it('give ELP shapes an oblong central column', () => {
+    const { A, B, C, D, E, F, F2 } = { A: 0.0218, B: 0.0057, C: 0.0158, D: 0.0032, E: 0.0168, F: 0.005, F2: 0.0114 };
+    const columnArea = F * (F2 - F) + Math.PI * (F / 2) ** 2;
+    const volume = A * C * B - (E * C - columnArea) * D;
+    expect(pieceVolume({ family: 'elp', dimensions: { A, B, C, D, E, F, F2 } }) / volume).toBeCloseTo(1, 4);
+  });
+
+  it('close PQI pieces with a plate as thick as the back', () => {
+    const pqi = { name: 'PQI 20/14', family: 'pqi', dimensions: { A: 0.0205, B: 0.0081, C: 0.014, D: 0.0052, E: 0.018, F: 0.0088, G: 0.012 } };
+    const { A, B, C, D } = pqi.dimensions;
+    const core = getCore(replicad, [{ type: 'half set', coordinates: [0, 0, 0], rotation: [0, 0, 0], shape: pqi }]);
+    const piece = pieceVolume({ ...pqi, family: 'pq' });
+    expect(volumeOf(core)).toBeCloseTo((piece + A * C * (B - D)) * 1e9, 3);
+  });
+});
+
+describe('plates', () => {
+  it('close E shapes with an A x C slab as thick as the back', () => {
+    const plate = getShapeBuilder(replicad, 'e').getPlate(e42);
+    expect(volumeOf(plate)).toBeCloseTo(0.042 * 0.015 * 0.006, 10);
+  });
+
+  it.each([
+    ['t', { A: 0.022, B: 0.014, C: 0.013 }],
+    ['rod', { A: 0.01, B: 0.05 }],
+    ['drum', { A: 0.01, B: 0.0054, D: 0.0036, F: 0.0045 }],
+    ['custom', {}]
+  ])('are rejected for %s cores', (family, dimensions) => {
+    const builder = getShapeBuilder(replicad, family);
+    expect(() => builder.getPlate({ family, dimensions })).toThrow(ShapeDimensionError);
+  });
+
+  it('name the dimensions missing for the default plate', () => {
+    const builder = getShapeBuilder(replicad, 'c');
+    try {
+      builder.getPlate({ family: 'c', dimensions: { A: 0.03, B: 0.02, D: 0.01, E: 0.02 } });
+      expect.unreachable();
+    } catch (err) {
+      expect(err).toBeInstanceOf(ShapeDimensionError);
+      expect(err.missing).toEqual(['C']);
+    }
+  });
+});
+
+describe('lamination', () => {
+  const ei = { name: 'EI 48', family: 'ei', dimensions: { A: 0.048, B: 0.032, C: 0.016, D: 0.024, E: 0.032, F: 0.016 } };
+  const halfSet = (shape) => [{ type: 'half set', coordinates: [0, 0, 0], rotation: [0, 0, 0], shape }];
+
+  it.each([
+    ['E', e42, {}],
+    ['PQ', pq, {}],
+    ['interleaved EI', ei, { interleaved: true }]
+  ])('stacks %s sheets that fill the whole set', (label, shape, options) => {
+    // Sheets a tenth of the depth, stacked without room between them
+    const thickness = shape.dimensions.C / 10;
+    const solid = getCore(replicad, halfSet(shape));
+    const stack = getCore(replicad, halfSet(shape), { lamination: { thickness, stackingFactor: 1, ...options } });
+    expect(volumeOf(stack)).toBeCloseTo(volumeOf(solid), 3);
+  });
+
+  it('leaves room between sheets with the stacking factor', () => {
+    const solid = getCore(replicad, halfSet(e42));
+    const stack = getCore(replicad, halfSet(e42), { lamination: { thickness: 0.0005 } });
+    expect(volumeOf(stack)).toBeLessThan(volumeOf(solid));
+  });
+
+  it.each([
+    ['toroidal', toroid],
+    ['closed', { family: 'drum', dimensions: { A: 0.01, B: 0.0054, D: 0.0036, F: 0.0045 } }],
+    ['closed', { family: 'rod', dimensions: { A: 0.01, B: 0.05 } }]
+  ])('is rejected for %s %o cores', (type, shape) => {
+    const description = [{ type, coordinates: [0, 0, 0], shape }];
+    expect(() => getCore(replicad, description, { lamination: { thickness: 0.0005 } })).toThrow(ShapeDimensionError);
+  });
+});
+
+describe('stack pitch', () => {
+  it('is the depth of the shape', () => {
+    expect(getStackPitch(replicad, [{ type: 'half set', shape: e42 }])).toBeCloseTo(0.015, 6);
+  });
+
+  it('spans the whole piece of PQ shapes', () => {
+    expect(getStackPitch(replicad, [{ type: 'half set', shape: pq }])).toBeCloseTo(pq.dimensions.C, 6);
+  });
+
+  it('skips spacers and uses the flats of drums', () => {
+    const drum = { name: 'DR 10', family: 'drum', dimensions: { A: 0.01, B: 0.0054, D: 0.0036, F: 0.0045, G: 0.008 } };
+    const description = [{ type: 'spacer', dimensions: [0.001, 0.001, 0.001] }, { type: 'closed', shape: drum }];
+    expect(getStackPitch(replicad, description)).toBeCloseTo(0.008, 6);
+  });
+});
+
+describe('functional gapping', () => {
+  // Gaps on both lateral legs, 6 mm wide and 15 mm deep
+  const lateralGaps = [13.5e-3, -13.5e-3].map((x) => ({
+    type: 'additive', length: 0.0005, coordinates: [x, 0, 0], shape: 'rectangular', sectionDimensions: [0.006, 0.015]
+  }));
+
+  it('machines half sets without machining', () => {
+    const gapped = getCore(replicad, eHalfSets, { gapping: [columnGap(0, 0.001)] });
+    const ungapped = getCore(replicad, eHalfSets);
+    expect(volumeOf(ungapped) - volumeOf(gapped)).toBeCloseTo(columnSectionArea * 0.001 * 1e9, 3);
+  });
+
+  it('keeps the machining of the description', () => {
+    const machining = [{ coordinates: [0, 0.0002, 0], length: 0.0004 }];
+    const machined = eHalfSets.map((part) => ({ ...part, machining }));
+    const gapped = getCore(replicad, machined, { gapping: [columnGap(0, 0.001)] });
+    expect(volumeOf(gapped)).toBeCloseTo(volumeOf(getCore(replicad, machined)), 6);
+  });
+
+  it('turns additive gaps into spacers on their column section', () => {
+    const spacers = getSpacers(replicad, eHalfSets, lateralGaps);
+    expect(volumeOf(spacers)).toBeCloseTo(2 * 0.006 * 0.015 * 0.0005 * 1e9, 6);
+  });
+
+  it('prefers the spacers of the description', () => {
+    const description = [...eHalfSets, { type: 'spacer', coordinates: [0, 0, 0], dimensions: [0.001, 0.001, 0.001] }];
+    expect(volumeOf(getSpacers(replicad, description, lateralGaps))).toBeCloseTo(1, 6);
+  });
+});
+
+describe('machining tools', () => {
+  it('follow the chamfered column of EFD shapes', () => {
+    const dimensions = { A: 0.03, B: 0.015, C: 0.0091, D: 0.0112, E: 0.022, F: 0.0146, F2: 0.0045, K: 0.0022, q: 0.0005 };
+    const section = getShapeBuilder(replicad, 'efd').getCentralColumnSection(dimensions, 0.001);
+    const area = dimensions.F * dimensions.F2 - 2 * dimensions.q ** 2;
+    expect(volumeOf(section)).toBeCloseTo(area * 0.001, 12);
+  });
+
+  it('keep the columns of E shapes set back by K', () => {
+    const dimensions = { ...e42.dimensions, K: 0.002 };
+    const section = getShapeBuilder(replicad, 'e').getCentralColumnSection(dimensions, 0.001);
+    expect(extentOf(section, 1)).toBeCloseTo(0.011, 6);
+  });
+});
+
+describe('distributed gaps', () => {
+  it('cut the fill pieces between gaps off the column', () => {
+    const gapping = [columnGap(-0.004, 0.001), columnGap(0, 0.001), columnGap(0.004, 0.001)];
+    const pieces = getCore(replicad, eHalfSets, { gapping, assembly: true });
+    const fillPieces = pieces.filter((piece) => piece.name.includes('fill piece'));
+    expect(pieces).toHaveLength(4);
+    expect(fillPieces).toHaveLength(2);
+    for (const fillPiece of fillPieces) {
+      // Column between the gap at the join (half of it in each piece) and the next gap, in mm³
+      expect(volumeOf(fillPiece.shape)).toBeCloseTo(columnSectionArea * 0.003 * 1e9, 0);
+    }
+  });
+
+  it('spread gaps without coordinates evenly over the central column', () => {
+    const gapping = [0, 1, 2].map(() => ({ type: 'subtractive', length: 0.001, shape: 'rectangular', sectionDimensions: [0.012, 0.015] }));
+    const inserts = getSpacers(replicad, eHalfSets, gapping, { gapInserts: true });
+    expect(volumeOf(inserts)).toBeCloseTo(3 * columnSectionArea * 0.001 * 1e9, 0);
+    // Three gaps over both windows (2 D), 10 mm apart, centered on the join
+    expect(extentOf(inserts, 2)).toBeCloseTo(21, 3);
+  });
+
+  it('merge overlapping gaps into the gap below them', () => {
+    const gapping = [columnGap(-0.006, 0.001), columnGap(0.0005, 0.002), columnGap(0.002, 0.002), columnGap(0.006, 0.001)];
+    const inserts = getSpacers(replicad, eHalfSets, gapping, { gapInserts: true });
+    expect(volumeOf(inserts)).toBeCloseTo(columnSectionArea * (0.001 + 0.0035 + 0.001) * 1e9, 0);
+  });
+
+  it('only get inserts on columns split by several gaps', () => {
+    expect(getSpacers(replicad, eHalfSets, [columnGap(0, 0.001)], { gapInserts: true })).toBeNull();
+    expect(getSpacers(replicad, eHalfSets, [columnGap(-0.004, 0.001), columnGap(0.004, 0.001)])).toBeNull();
+  });
+});
+
+describe('edge finish', () => {
+  const etd = { name: 'ETD 29/16/10', family: 'etd', dimensions: { A: 0.029, B: 0.016, C: 0.01, D: 0.01, E: 0.021, F: 0.01 } };
+  const pm = {
+    name: 'PM 50/39', family: 'pm', familySubtype: '1',
+    dimensions: { A: 0.05, B: 0.01, C: 0.02, D: 0.006, E: 0.035, F: 0.02, G: 0.008, H: 0.005, b: 0.004, t: 0.005, alpha: 120 }
+  };
+
+  it('rounds the edges of full pieces', () => {
+    const builder = getShapeBuilder(replicad, 'e');
+    const sharp = builder.getPiece(e42);
+    const rounded = builder.getPiece({ ...e42, edgeFinish: { type: 'fillet', radius: 0.0005 } });
+    expect(extentOf(rounded, 0)).toBeCloseTo(extentOf(sharp, 0), 9);
+    expect(volumeOf(rounded)).toBeLessThan(volumeOf(sharp));
+  });
+
+  it.each([
+    ['fillet', pq],
+    ['chamfer', pq],
+    ['fillet', { ...pq, family: 'pqi' }],
+    ['fillet', toroid],
+    ['chamfer', etd],
+    ['chamfer', pm]
+  ])('applies the default %s to %s pieces', (type, shape) => {
+    const builder = getShapeBuilder(replicad, shape.family);
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const finished = builder.getPiece({ ...shape, edgeFinish: { type } });
+      expect(warn).not.toHaveBeenCalled();
+      expect(volumeOf(finished)).toBeLessThan(volumeOf(builder.getPiece(shape)));
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('rejects an explicit radius that does not fit', () => {
+    const builder = getShapeBuilder(replicad, 'e');
+    expect(() => builder.getPiece({ ...e42, edgeFinish: { type: 'fillet', radius: 0.01 } })).toThrow(ShapeDimensionError);
+  });
+
+  it('leaves lamination sheets sharp', () => {
+    const builder = getShapeBuilder(replicad, 'e');
+    const sharp = builder.getSheet(e42, 0.0005);
+    const sheet = builder.getSheet({ ...e42, edgeFinish: { type: 'chamfer' } }, 0.0005);
+    expect(volumeOf(sheet)).toBeCloseTo(volumeOf(sharp), 12);
+  });
+});
+
+describe('coating', () => {
+  it('is as thick as typical for its material unless given', () => {
+    expect(getCoatingThickness('epoxy')).toBeCloseTo(0.0002, 9);
+    expect(getCoatingThickness('Parylene')).toBeCloseTo(0.00002, 9);
+    expect(getCoatingThickness('epoxy', 0.0001)).toBeCloseTo(0.0001, 9);
+    expect(getCoatingThickness('epoxy', 0)).toBe(0);
+    expect(getCoatingThickness(undefined)).toBe(0);
+  });
+
+  it('wraps the core in a shell outside of it', () => {
+    const core = getCore(replicad, [{ type: 'toroidal', coordinates: [0, 0, 0], shape: toroid }]);
+    const coating = getCoating(replicad, core, 0.0002);
+    // A ring 0.2 mm larger all around, less its rounded edges, in mm³
+    const coated = Math.PI * (11.2 ** 2 - 6.8 ** 2) * 13.4 - Math.PI * (11 ** 2 - 7 ** 2) * 13;
+    expect(volumeOf(coating) / coated).toBeCloseTo(1, 2);
+    expect(volumeOf(coating.clone().intersect(core.clone()))).toBeCloseTo(0, 3);
+    expect(getCoating(replicad, core, 0)).toBeNull();
+  });
+});
+
+describe('custom shapes', () => {
+  const builder = () => getShapeBuilder(replicad, 'custom');
+
+  it('extrude the outline without its winding windows', () => {
+    const piece = builder().getPiece({
+      family: 'custom',
+      dimensions: {},
+      profile: [[-0.01, 0], [0.01, 0], [0.01, 0.008], [-0.01, 0.008]],
+      windingWindow: [[[0.002, 0], [0.007, 0], [0.007, 0.006], [0.002, 0.006]]],
+      extrusion: { type: 'extrude', length: 0.005 }
+    });
+    expect(volumeOf(piece)).toBeCloseTo((0.02 * 0.008 - 0.005 * 0.006) * 0.005, 12);
+    expect(piece.boundingBox.bounds[1][2]).toBeCloseTo(0, 6);
+    expect(extentOf(piece, 1)).toBeCloseTo(0.005, 6);
+  });
+
+  it('revolve the outline around the central column axis', () => {
+    const piece = builder().getPiece({
+      family: 'custom',
+      dimensions: {},
+      profile: [[0, 0], [0.005, 0], { through: [0.0065, 0.002], to: [0.005, 0.004] }, [0, 0.004]],
+      extrusion: { type: 'revolve' }
+    });
+    expect(extentOf(piece, 0)).toBeCloseTo(0.013, 6);
+    expect(volumeOf(piece)).toBeGreaterThan(Math.PI * 0.005 ** 2 * 0.004);
+  });
+
+  it('reject outlines that cannot close', () => {
+    const data = { family: 'custom', dimensions: {}, profile: [[0, 0], [0.01, 0]], extrusion: { type: 'extrude', length: 0.005 } };
+    expect(() => builder().getPiece(data)).toThrow(/at least two segments/);
+  });
+});
+
+describe('shape family registry', () => {
+  class SlabShape extends ShapePiece {
+    getDimensionsAndSubtypes() {
+      return { 1: ['A', 'B', 'C'] };
+    }
+
+    getShapeBase(data) {
+      return this.r.sketchRectangle(data.dimensions.A, data.dimensions.C);
+    }
+  }
+  const slab = { name: 'Slab', family: 'Test Slab', dimensions: { A: 0.01, B: 0.002, C: 0.005 } };
+
+  it('builds registered families until they are unregistered', () => {
+    registerShapeFamily('Test Slab', SlabShape);
+    try {
+      expect(getSupportedFamilies()).toContain('test_slab');
+      const core = getCore(replicad, [{ type: 'closed', coordinates: [0, 0, 0], shape: slab }]);
+      expect(volumeOf(core)).toBeCloseTo(0.01 * 0.002 * 0.005 * 1e9, 6);
+    } finally {
+      expect(unregisterShapeFamily('Test Slab')).toBe(true);
+    }
+    expect(unregisterShapeFamily('Test Slab')).toBe(false);
+    expect(() => getShapeBuilder(replicad, 'Test Slab')).toThrow(/Unknown shape family/);
+  });
+
+  it('rejects built-in names and classes missing the contract', () => {
+    class PieceOnly {
+      getPiece() {}
+    }
+    expect(() => registerShapeFamily('e', SlabShape)).toThrow(/built in/);
+    expect(() => registerShapeFamily('Test Piece', PieceOnly)).toThrow(/getStackDepth, getEdgeRadius/);
+    expect(() => registerShapeFamily('Test Empty', class extends ShapePiece {})).toThrow(/getShapeBase or getPiece/);
+    expect(() => unregisterShapeFamily('e')).toThrow(/built in/);
+  });
+});
+
+describe('dimension validation', () => {
+  const catchError = (shape) => {
+    try {
+      getCore(replicad, [{ type: 'half set', coordinates: [0, 0, 0], rotation: [0, 0, 0], shape }]);
+    } catch (err) {
+      return err;
+    }
+    return null;
+  };
+
+  it('names the missing and invalid dimensions', () => {
+    const { F, ...withoutF } = e42.dimensions;
+    const missing = catchError({ ...e42, dimensions: withoutF });
+    expect(missing).toBeInstanceOf(ShapeDimensionError);
+    expect(missing).toMatchObject({ family: 'e', subtype: '1', shapeName: 'E 42/21/15', missing: ['F'] });
+    expect(missing.message).toContain('missing F');
+
+    const invalid = catchError({ ...e42, dimensions: { ...e42.dimensions, D: -0.015 } });
+    expect(invalid.invalid).toEqual([{ dimension: 'D', value: -0.015 }]);
+  });
+
+  it('checks the geometry once every dimension is valid', () => {
+    const error = catchError({ ...e42, dimensions: { ...e42.dimensions, F: 0.031 } });
+    expect(error).toBeInstanceOf(ShapeDimensionError);
+    expect(error.inconsistencies).toEqual([expect.stringContaining('central column width F')]);
+  });
+
+  it('runs the checks of each family', () => {
+    expect(getShapeBuilder(replicad, 'h').getGeometryErrors({ A: 0.025, B: 0.02, C: 0.01, D: 0.01, E: 0.015 }))
+      .toEqual([expect.stringContaining('leave no crossbar')]);
+    expect(getShapeBuilder(replicad, 'ut').getGeometryErrors({ A: 0.02, B: 0.016, C: 0.008, D: 0.011, E: 0.012, F: 0.008 }))
+      .toEqual([expect.stringContaining('leave no return leg')]);
+    expect(getShapeBuilder(replicad, 't').getGeometryErrors({ A: 0.014, B: 0.014, C: 0.013 }))
+      .toEqual([expect.stringContaining('inner diameter B')]);
+  });
+
+  it('lets optional dimensions out', () => {
+    const er = { name: 'ER 28/14/11', family: 'er', dimensions: { A: 0.028, B: 0.014, C: 0.011, D: 0.009, E: 0.022, F: 0.01 } };
+    expect(catchError(er)).toBeNull();
+  });
+});
+
+describe('dimension policy', () => {
+  const tolerancedShape = () => ({ ...e42, dimensions: { ...e42.dimensions, A: { minimum: 0.041, maximum: 0.043 } } });
+
+  it('builds the tolerance corners', () => {
+    const description = [{ type: 'half set', coordinates: [0, 0, 0], rotation: [0, 0, 0], shape: tolerancedShape() }];
+    expect(extentOf(getCore(replicad, description, { dimensionPolicy: 'minimum' }), 0)).toBeCloseTo(41, 3);
+    expect(extentOf(getCore(replicad, description, { dimensionPolicy: 'maximum' }), 0)).toBeCloseTo(43, 3);
+    expect(extentOf(getCore(replicad, description), 0)).toBeCloseTo(42, 3);
+  });
+
+  it('shares one random sample between the parts of a shape', () => {
+    const description = [{ type: 'half set', shape: tolerancedShape() }, { type: 'half set', shape: tolerancedShape() }];
+    const rng = vi.fn().mockReturnValueOnce(0.25).mockReturnValueOnce(0.75);
+    const [first, second] = applyDimensionPolicy(description, 'random', rng);
+    expect(rng).toHaveBeenCalledTimes(1);
+    expect(first.shape.dimensions.A).toBeCloseTo(0.0415, 9);
+    expect(second.shape.dimensions.A).toBe(first.shape.dimensions.A);
+  });
+
+  it('rejects unknown policies', () => {
+    expect(() => applyDimensionPolicy([{ type: 'half set', shape: e42 }], 'typical')).toThrow(/Unknown dimension policy/);
+  });
+});
+
+describe('assembly', () => {
+  it('keeps each piece as a named body, placed as in the fused core', () => {
+    const pieces = getCore(replicad, eHalfSets, { assembly: true });
+    expect(pieces.map((piece) => piece.name)).toEqual(['E 42/21/15 half set 0', 'E 42/21/15 half set 1']);
+    expect(pieces.map((piece) => piece.elementIndex)).toEqual([0, 1]);
+    const total = pieces.reduce((sum, piece) => sum + volumeOf(piece.shape), 0);
+    expect(total).toBeCloseTo(volumeOf(getCore(replicad, eHalfSets)), 3);
+  });
+
+  it('gives added plates the index of their piece', () => {
+    const ei = { name: 'EI 48', family: 'ei', dimensions: { A: 0.048, B: 0.032, C: 0.016, D: 0.024, E: 0.032, F: 0.016 } };
+    const pieces = getCore(replicad, [{ type: 'half set', coordinates: [0, 0, 0], rotation: [0, 0, 0], shape: ei }], { assembly: true });
+    expect(pieces.map((piece) => [piece.type, piece.elementIndex])).toEqual([['half set', 0], ['plate', 0]]);
+  });
+});
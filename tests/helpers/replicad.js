@@ -0,0 +1,85 @@
+import { createRequire } from 'module';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+
+const require = createRequire(import.meta.url);
+const wasmDir = dirname(require.resolve('replicad-opencascadejs/src/replicad_single.wasm'));
+
+let loading = null;
+let replicad = null;
+
+/**
+ * Load replicad with the OpenCASCADE wasm build, once per test file.
+ * The emscripten loader expects CommonJS globals when it runs in Node.
+ * @returns {Promise<Object>} - Replicad module
+ */
+export function loadReplicad() {
+  if (!loading) {
+    loading = (async () => {
+      globalThis.require = createRequire(join(wasmDir, 'replicad_single.js'));
+      globalThis.__dirname = wasmDir;
+      const { default: opencascade } = await import('replicad-opencascadejs/src/replicad_single.js');
+      const module = await import('replicad');
+      const oc = await opencascade({ locateFile: () => join(wasmDir, 'replicad_single.wasm') });
+      module.setOC(oc);
+      replicad = module;
+      return module;
+    })();
+  }
+  return loading;
+}
+
+/**
+ * Get the volume of a shape, once loadReplicad has resolved.
+ * @param {Object} shape - Replicad shape
+ * @returns {number}
+ */
+export function volumeOf(shape) {
+  return replicad.measureShapeVolumeProperties(shape).volume;
+}
+
+/**
+ * Get the extent of a shape along an axis.
+ * @param {Object} shape - Replicad shape
+ * @param {number} axis - 0 for X, 1 for Y, 2 for Z
+ * @returns {number}
+ */
+export function extentOf(shape, axis) {
+  const bounds = shape.boundingBox.bounds;
+  return bounds[1][axis] - bounds[0][axis];
+}
+
+/**
+ * Load a magnetic from tests/testData.
+ * @param {string} name - File name, without extension
+ * @returns {Object} - MAS magnetic
+ */
+export function loadMagnetic(name) {
+  const data = JSON.parse(readFileSync(new URL(`../testData/${name}.json`, import.meta.url), 'latin1'));
+  return data.magnetic || data;
+}
+
+/**
+ * Load the one-turn E 16/8/5 magnetic of tests/testData, rewound with one turn per radial position.
+ * Turns copy the turn of the file, so they belong to its winding and parallel.
+ * @param {number[]} clearances - Distance from the column to the center of each turn, in meters
+ * @param {Object} [options]
+ * @param {Object} [options.wire] - MAS wire of the winding, the wire of the file when not given
+ * @param {Object} [options.turn] - Fields every turn takes, e.g. crossSectionalShape and dimensions
+ * @returns {Object} - MAS magnetic
+ */
+export function rewindMagnetic(clearances, { wire, turn } = {}) {
+  const magnetic = loadMagnetic('concentric_rectangular_column_one_turn');
+  const [template] = magnetic.coil.turnsDescription;
+  const columnWidth = magnetic.coil.bobbin.processedDescription.columnWidth;
+  if (wire) {
+    magnetic.coil.functionalDescription[0].wire = wire;
+  }
+  magnetic.coil.turnsDescription = clearances.map((clearance, index) => ({
+    ...template,
+    name: `${template.winding} parallel 0 turn ${index}`,
+    coordinates: [columnWidth + clearance, 0],
+    ...turn
+  }));
+  return magnetic;
+}
@@ -0,0 +1,285 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { loadReplicad, volumeOf, extentOf, loadMagnetic, rewindMagnetic } from './helpers/replicad.js';
+import { ReplicadBuilder } from '../src/replicadBuilder.js';
+
+let replicad;
+let builder;
+
+beforeAll(async () => {
+  replicad = await loadReplicad();
+  builder = new ReplicadBuilder(replicad);
+}, 120000);
+
+// A primary turn next to the column and a secondary turn 2 mm further out, each winding with its own wire
+const twoWindings = (primaryWire, secondaryWire, secondaryTurn = {}) => {
+  const magnetic = rewindMagnetic([0.0006, 0.0026], {
+    wire: primaryWire,
+    turn: { crossSectionalShape: 'round', dimensions: [0.001, 0.001] }
+  });
+  const { functionalDescription, turnsDescription } = magnetic.coil;
+  functionalDescription.push({ ...functionalDescription[0], name: 'Secondary', wire: secondaryWire });
+  turnsDescription[1] = { ...turnsDescription[1], ...secondaryTurn, winding: 'Secondary', name: 'Secondary parallel 0 turn 0' };
+  return magnetic;
+};
+
+describe('getMagnetic', () => {
+  it('returns a single compound, with or without assembly', () => {
+    const magnetic = loadMagnetic('concentric_rectangular_column_one_turn');
+    const shape = builder.getMagnetic(magnetic, 'Compound');
+    const assemblyShape = builder.getMagnetic(magnetic, 'Assembly', { assembly: true });
+    for (const compound of [shape, assemblyShape]) {
+      expect(compound.boundingBox.bounds).toBeDefined();
+      expect(compound.core).toBeUndefined();
+    }
+    expect(extentOf(assemblyShape, 0)).toBeCloseTo(extentOf(shape, 0), 3);
+  });
+
+  it('keeps every body apart in getMagneticAssembly', () => {
+    const magnetic = loadMagnetic('concentric_rectangular_column_one_turn');
+    const result = builder.getMagneticAssembly(magnetic, 'Assembly');
+    expect(result.core).toHaveLength(1);
+    expect(result.getTurns()).toHaveLength(magnetic.coil.turnsDescription.length);
+    expect(result.toCompound()).not.toBeNull();
+  });
+});
+
+describe('stacked cores', () => {
+  it('wrap the turns around the column of every stack', () => {
+    const single = loadMagnetic('concentric_rectangular_column_one_turn');
+    const stacked = loadMagnetic('concentric_rectangular_column_one_turn');
+    stacked.core.functionalDescription.numberStacks = 2;
+    const depth = stacked.core.geometricalDescription[0].shape.dimensions.C;
+    const C = (depth.nominal ?? (depth.minimum + depth.maximum) / 2) * 1000;
+
+    const singleResult = builder.getMagneticAssembly(single, 'Single');
+    const stackedResult = builder.getMagneticAssembly(stacked, 'Stacked');
+
+    const singleCore = singleResult.core[0].shape;
+    const stackedCore = stackedResult.core[0].shape;
+    expect(extentOf(stackedCore, 1)).toBeCloseTo(2 * extentOf(singleCore, 1), 1);
+
+    const singleTurn = singleResult.getTurns()[0].shape;
+    const stackedTurn = stackedResult.getTurns()[0].shape;
+    expect(extentOf(stackedTurn, 1) - extentOf(singleTurn, 1)).toBeCloseTo(C, 1);
+  });
+});
+
+describe('toroidal gap sectors', () => {
+  const normalize = (angle) => ((angle % 360) + 360) % 360;
+  const insideSector = (angle, sector, clearance) =>
+    Math.abs(normalize(angle - sector.angle + 180) - 180) < sector.width / 2 + clearance - 1e-9;
+
+  it('spread a full layer over the free arc without stacking turns', () => {
+    const sectors = [{ angle: 90, width: 20 }];
+    const angles = Array.from({ length: 36 }, (_, index) => index * 10);
+    const placed = angles.map((angle) => builder._skipGapSectors(angle, sectors, 2));
+
+    expect(placed.some((angle) => insideSector(angle, sectors[0], 2))).toBe(false);
+    const sorted = placed.map(normalize).sort((a, b) => a - b);
+    const spacings = sorted.map((angle, index) => normalize((sorted[index + 1] ?? sorted[0] + 360) - angle));
+    // 36 turns over the 336° left free, the sector taking the widest spacing
+    expect(Math.min(...spacings)).toBeCloseTo(336 / 36, 6);
+  });
+
+  it('keep turns out of every sector', () => {
+    const sectors = [{ angle: 0, width: 10 }, { angle: 180, width: 30 }];
+    for (let angle = 0; angle < 360; angle += 5) {
+      const placed = builder._skipGapSectors(angle, sectors, 1);
+      expect(sectors.some((sector) => insideSector(placed, sector, 1))).toBe(false);
+    }
+  });
+
+  it('leave angles alone without sectors', () => {
+    expect(builder._skipGapSectors(42, [], 1)).toBe(42);
+  });
+});
+
+describe('coated cores', () => {
+  it('lay toroidal turns on the coating', () => {
+    const magnetic = loadMagnetic('toroidal_two_turns_centered');
+    magnetic.core.functionalDescription.coating = 'epoxy';
+    const result = builder.getMagneticAssembly(magnetic, 'Coated');
+    expect(result.coating).not.toBeNull();
+    for (const turn of result.getTurns()) {
+      expect(volumeOf(turn.shape.clone().intersect(result.coating.shape.clone()))).toBeCloseTo(0, 3);
+    }
+  });
+});
+
+describe('magnetic rotation', () => {
+  it('turns every body about the origin and records it in the core transforms', () => {
+    const magnetic = loadMagnetic('concentric_rectangular_column_one_turn');
+    const upright = builder.getMagneticAssembly(magnetic, 'Upright', { assembly: true });
+    const rotated = builder.getMagneticAssembly({ ...magnetic, rotation: [Math.PI / 2, 0, 0] }, 'Rotated', { assembly: true });
+
+    for (const piece of rotated.core) {
+      expect(piece.transform.magneticRotation).toEqual([Math.PI / 2, 0, 0]);
+    }
+    // A quarter turn about X swaps the depth and height of the turn
+    const uprightBounds = upright.getTurns()[0].shape.boundingBox.bounds;
+    const rotatedBounds = rotated.getTurns()[0].shape.boundingBox.bounds;
+    expect(rotatedBounds[1][2] - rotatedBounds[0][2]).toBeCloseTo(uprightBounds[1][1] - uprightBounds[0][1], 3);
+  });
+});
+
+describe('litz turns', () => {
+  const litzTurnVolume = (magnetic, options) =>
+    volumeOf(builder.getMagneticAssembly(magnetic, 'Litz', options).getTurns()[0].shape);
+
+  it('are plain round bundles by default', () => {
+    const litz = loadMagnetic('toroidal_two_turns_centered');
+    const round = loadMagnetic('toroidal_two_turns_centered');
+    round.coil.functionalDescription[0].wire = { type: 'round', numberConductors: 1 };
+    expect(litzTurnVolume(litz)).toBeCloseTo(litzTurnVolume(round), 6);
+  });
+
+  it('draw every strand in detailed mode', () => {
+    const magnetic = loadMagnetic('toroidal_two_turns_centered');
+    const detailed = litzTurnVolume(magnetic, { litz: { mode: 'detailed' } });
+    expect(detailed).toBeGreaterThan(0);
+    expect(detailed).toBeLessThan(litzTurnVolume(magnetic));
+  });
+
+  it('take the wire of their own winding', () => {
+    const litz = loadMagnetic('toroidal_two_turns_centered').coil.functionalDescription[0].wire;
+    const magnetic = twoWindings(litz, { type: 'round', numberConductors: 1 });
+    const [primary, secondary] = builder.getMagneticAssembly(magnetic, 'Litz', { litz: { mode: 'detailed' } }).getTurns();
+    const [plainPrimary, plainSecondary] = builder.getMagneticAssembly(magnetic, 'Plain').getTurns();
+    expect(volumeOf(primary.shape)).toBeLessThan(volumeOf(plainPrimary.shape));
+    expect(volumeOf(secondary.shape)).toBeCloseTo(volumeOf(plainSecondary.shape), 6);
+  });
+
+  it('fall back to the simplified mode for large bundles', () => {
+    const magnetic = loadMagnetic('toroidal_two_turns_centered');
+    magnetic.coil.functionalDescription[0].wire.numberConductors = 400;
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const detailed = litzTurnVolume(magnetic, { litz: { mode: 'detailed' } });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('drawn simplified'));
+      expect(detailed).toBeCloseTo(litzTurnVolume(magnetic, { litz: { mode: 'simplified' } }), 6);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe('foil turns', () => {
+  const foil = {
+    type: 'foil', numberConductors: 1,
+    conductingWidth: 0.0001, conductingHeight: 0.01, outerWidth: 0.00016, outerHeight: 0.01
+  };
+  const foilTurn = { crossSectionalShape: 'rectangular', dimensions: [0.00016, 0.01] };
+  const foilMagnetic = (clearances) => rewindMagnetic(clearances, { wire: foil, turn: foilTurn });
+
+  it('keep the overlap in the insulation, clear of the next turn', () => {
+    const turns = builder.getMagneticAssembly(foilMagnetic([0.000125, 0.000285]), 'Foil').getTurns();
+    const solidsOf = (shape) => Array.from(replicad.iterTopo(shape.wrapped, 'solid'), (solid) => replicad.cast(solid));
+    // Compound booleans miss overlaps, so the solids are intersected pair by pair
+    let common = 0;
+    for (const first of solidsOf(turns[0].shape)) {
+      for (const second of solidsOf(turns[1].shape)) {
+        common += volumeOf(first.clone().intersect(second.clone()));
+      }
+    }
+    expect(common).toBeCloseTo(0, 9);
+  });
+
+  it('add an overlap as thick as the insulation outside the sheet', () => {
+    const magnetic = foilMagnetic([0.000125, 0.000285]);
+    const withOverlap = volumeOf(builder.getMagneticAssembly(magnetic, 'Foil').getTurns()[0].shape);
+    const withoutOverlap = volumeOf(builder.getMagneticAssembly(magnetic, 'Foil', { foil: { overlap: 0 } }).getTurns()[0].shape);
+    // 0.03 mm of insulation outside the 0.1 mm sheet, 2 mm long and 10 mm tall
+    expect(withOverlap - withoutOverlap).toBeCloseTo(0.03 * 2 * 10, 6);
+  });
+
+  it('take the wire of their own winding', () => {
+    const magnetic = twoWindings({ type: 'round', numberConductors: 1 }, foil, foilTurn);
+    const [primary, secondary] = builder.getMagneticAssembly(magnetic, 'Foil').getTurns();
+    // The one-turn foil secondary gets its 10 mm leads above the 10 mm sheet, the round primary stays 1 mm tall
+    expect(extentOf(secondary.shape, 2)).toBeGreaterThan(15);
+    expect(extentOf(primary.shape, 2)).toBeCloseTo(1, 3);
+  });
+
+  it('keep the start and end leads of one-turn windings apart', () => {
+    const [turn] = builder.getMagneticAssembly(foilMagnetic([0.000125]), 'Foil').getTurns();
+    const sheetTop = 5;
+    const leads = Array.from(replicad.iterTopo(turn.shape.wrapped, 'solid'), (solid) => replicad.cast(solid).boundingBox.bounds)
+      .filter((bounds) => bounds[0][2] > sheetTop - 1e-6)
+      .sort((a, b) => a[0][1] - b[0][1]);
+    expect(leads).toHaveLength(2);
+    expect(leads[1][0][1] - leads[0][1][1]).toBeCloseTo(1, 6);
+  });
+});
+
+describe('oval turns', () => {
+  const turnVolume = (crossSectionalShape, dimensions) => {
+    // 1 mm off the column, so corners bend the same for every section
+    const magnetic = rewindMagnetic([0.001], { turn: { crossSectionalShape, dimensions } });
+    return volumeOf(builder.getMagneticAssembly(magnetic, 'Oval').getTurns()[0].shape);
+  };
+
+  it('sweep a stadium along the same path as round turns', () => {
+    const width = 1.2;
+    const height = 0.8;
+    const stadiumArea = Math.PI * (height / 2) ** 2 + (width - height) * height;
+    const circleArea = Math.PI * (height / 2) ** 2;
+
+    const ovalLength = turnVolume('oval', [width / 1000, height / 1000]) / stadiumArea;
+    const roundLength = turnVolume('round', [height / 1000, height / 1000]) / circleArea;
+    expect(ovalLength / roundLength).toBeCloseTo(1, 2);
+  });
+
+  it('are round when both dimensions match', () => {
+    expect(turnVolume('oval', [0.0008, 0.0008])).toBeCloseTo(turnVolume('round', [0.0008, 0.0008]), 3);
+  });
+});
+
+describe('rectangular turns with rounded edges', () => {
+  const turnVolume = (wire) => {
+    const magnetic = rewindMagnetic([0.002], {
+      wire: { type: 'rectangular', numberConductors: 1, ...wire },
+      turn: { crossSectionalShape: 'rectangular', dimensions: [0.0022, 0.0012] }
+    });
+    return volumeOf(builder.getMagneticAssembly(magnetic, 'Rectangular').getTurns()[0].shape);
+  };
+
+  it('round the conductor corners by edgeRadius and the insulation around them concentrically', () => {
+    const sharp = turnVolume({});
+    const rounded = turnVolume({ conductingWidth: 0.002, conductingHeight: 0.001, edgeRadius: 0.0002 });
+    // Outer corners: the 0.2 mm conductor radius plus the 0.1 mm insulation
+    const cornerLoss = (4 - Math.PI) * 0.3 ** 2;
+    expect(rounded / sharp).toBeCloseTo(1 - cornerLoss / (2.2 * 1.2), 3);
+  });
+
+  it('use edgeRadius as is without the conducting size', () => {
+    const sharp = turnVolume({});
+    const rounded = turnVolume({ edgeRadius: 0.0002 });
+    expect(rounded / sharp).toBeCloseTo(1 - (4 - Math.PI) * 0.2 ** 2 / (2.2 * 1.2), 3);
+  });
+});
+
+describe('split insulation', () => {
+  const splitMagnetic = (coating) => rewindMagnetic([0.002], {
+    wire: { type: 'round', numberConductors: 1, conductingDiameter: 0.0008, outerDiameter: 0.0011, coating },
+    turn: { crossSectionalShape: 'round', dimensions: [0.0011, 0.0011] }
+  });
+
+  it('fills the whole turn with the conductor and its insulation layers', () => {
+    const magnetic = splitMagnetic({ type: 'insulated', numberLayers: 3, thicknessLayers: 0.00005 });
+    const whole = volumeOf(builder.getMagneticAssembly(magnetic, 'Whole').getTurns()[0].shape);
+    const [turn] = builder.getMagneticAssembly(magnetic, 'Split', { splitInsulation: true }).getTurns();
+    expect(turn.insulation).toHaveLength(3);
+    const parts = volumeOf(turn.shape) + turn.insulation.reduce((sum, layer) => sum + volumeOf(layer.shape), 0);
+    expect(parts / whole).toBeCloseTo(1, 3);
+    // 0.4 mm conductor radius, layers 0.05 mm each once scaled to fill the 0.15 mm insulation
+    expect(volumeOf(turn.shape) / whole).toBeCloseTo(0.4 ** 2 / 0.55 ** 2, 3);
+  });
+
+  it('scales thin layers to fill the insulation evenly', () => {
+    const magnetic = splitMagnetic({ type: 'insulated', numberLayers: 2, thicknessLayers: 0.00001 });
+    const [turn] = builder.getMagneticAssembly(magnetic, 'Split', { splitInsulation: true }).getTurns();
+    const [inner, outer] = turn.insulation.map((layer) => volumeOf(layer.shape));
+    // Annuli from 0.4 to 0.475 mm and from 0.475 to 0.55 mm
+    expect(outer / inner).toBeCloseTo((0.55 ** 2 - 0.475 ** 2) / (0.475 ** 2 - 0.4 ** 2), 3);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { DimensionPolicy, resolveDimension, flattenDimensions } from '../src/utils.js';
+
+describe('resolveDimension', () => {
+  const toleranced = { minimum: 0.009, nominal: 0.01, maximum: 0.012 };
+
+  it.each([
+    [DimensionPolicy.Nominal, 0.01],
+    [DimensionPolicy.Minimum, 0.009],
+    [DimensionPolicy.Maximum, 0.012]
+  ])('resolves the %s value', (policy, expected) => {
+    expect(resolveDimension(toleranced, policy)).toBe(expected);
+  });
+
+  it('samples between the bounds with the random policy', () => {
+    expect(resolveDimension(toleranced, DimensionPolicy.Random, () => 0.25)).toBeCloseTo(0.00975, 12);
+  });
+
+  it('falls back to the nominal value for missing bounds', () => {
+    const nominalOnly = { nominal: 0.01 };
+    for (const policy of Object.values(DimensionPolicy)) {
+      expect(resolveDimension(nominalOnly, policy, () => 0.5)).toBe(0.01);
+    }
+    expect(resolveDimension({ minimum: 0.009, maximum: 0.011 })).toBe(0.01);
+  });
+
+  it('keeps plain numbers whatever the policy', () => {
+    for (const policy of Object.values(DimensionPolicy)) {
+      expect(resolveDimension(0.01, policy)).toBe(0.01);
+    }
+  });
+
+  it('rejects unknown policies, plain numbers included', () => {
+    expect(() => resolveDimension(toleranced, 'typical')).toThrow(/Unknown dimension policy 'typical'/);
+    expect(() => resolveDimension(0.01, 'typical')).toThrow(/Unknown dimension policy/);
+    expect(() => flattenDimensions({ dimensions: { A: 0.01 } }, 'typical')).toThrow(/Unknown dimension policy/);
+  });
+});